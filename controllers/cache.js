@@ -0,0 +1,83 @@
+import { invalidatePdfCache, warmPdfCache } from "../utils/pdfCache.js";
+import { isAdmin } from "../middlewares/verifyAdmin.js";
+
+const MAX_CACHE_TARGETS = 20;
+
+// Body: { caseIds: [...] } or { caseId }
+function parseCaseIds(body) {
+  const caseIds = Array.isArray(body.caseIds) ? body.caseIds : body.caseId ? [body.caseId] : [];
+  return [...new Set(caseIds.filter((id) => typeof id === "string" && id.trim()).map((id) => id.trim()))];
+}
+
+export const warmCache = async (req, res) => {
+  try {
+    const caseIds = parseCaseIds(req.body);
+
+    if (caseIds.length === 0) {
+      return res.status(400).json({
+        message: "Provide caseIds to warm",
+        success: false,
+      });
+    }
+    if (caseIds.length > MAX_CACHE_TARGETS) {
+      return res.status(400).json({
+        message: `At most ${MAX_CACHE_TARGETS} cases can be warmed per request`,
+        success: false,
+      });
+    }
+
+    const results = await warmPdfCache(caseIds);
+
+    return res.status(200).json({
+      message: "Cache warmed",
+      success: true,
+      data: results,
+    });
+  } catch (error) {
+    console.error("Error warming PDF cache:", error);
+    return res.status(500).json({
+      message: "Internal Server Error",
+      success: false,
+    });
+  }
+};
+
+export const invalidateCache = async (req, res) => {
+  try {
+    const all = req.body.all === true;
+    const caseIds = parseCaseIds(req.body);
+
+    if (all && !isAdmin(req.user)) {
+      return res.status(403).json({
+        message: "Only admins can clear the whole cache",
+        success: false,
+      });
+    }
+    if (!all && caseIds.length === 0) {
+      return res.status(400).json({
+        message: "Provide caseIds or all: true",
+        success: false,
+      });
+    }
+    if (caseIds.length > MAX_CACHE_TARGETS) {
+      return res.status(400).json({
+        message: `At most ${MAX_CACHE_TARGETS} cases can be invalidated per request`,
+        success: false,
+      });
+    }
+
+    const deleted = await invalidatePdfCache({ caseIds, all });
+
+    return res.status(200).json({
+      message: "Cache entries invalidated",
+      success: true,
+      data: { deleted },
+    });
+  } catch (error) {
+    console.error("Error invalidating PDF cache:", error);
+    return res.status(500).json({
+      message: "Internal Server Error",
+      success: false,
+    });
+  }
+};
@@ -1,4 +1,233 @@
+import mongoose from "mongoose";
 import Case from "../models/case.model.js";
+import { getCitationGraph } from "../utils/citationGraph.js";
+
+// --- CASE BROWSE API ---
+// GET /api/cases?q=&court=&author=&bench=&citation=&dateFrom=&dateTo=&sort=&limit=&cursor=
+// Cursor pagination over (sort key, _id); the cursor is opaque to clients.
+// Facet counts (court, author, year) come with the first page, or any page
+// with facets=true.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const FACET_SIZE = 20;
+
+const SORTS = {
+    relevance: { field: "score", direction: -1 },
+    date: { field: "Judgment_Date", direction: -1 },
+    "-date": { field: "Judgment_Date", direction: 1 },
+    title: { field: "Case_Title", direction: 1 },
+    cited: { field: "Cited_By_Count", direction: -1 },
+};
+
+const LIST_PROJECTION = {
+    Case_id: 1,
+    Case_Title: 1,
+    Court_Name: 1,
+    Judgment_Author: 1,
+    Bench: 1,
+    Citations: 1,
+    Judgment_Date: 1,
+    Cited_By_Count: 1,
+    Issues: { $slice: ["$Issues", 2] },
+};
+
+function badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function stringParam(query, name) {
+    const value = query[name];
+    if (value === undefined || value === "") return undefined;
+    if (typeof value !== "string" || value.length > 200) {
+        throw badRequest(`${name} must be a string of at most 200 characters`);
+    }
+    return value.trim();
+}
+
+// "1990" means the whole year; anything else has to be an ISO date
+function dateParam(query, name, endOfYear) {
+    const value = stringParam(query, name);
+    if (!value) return undefined;
+    if (/^\d{4}$/.test(value)) {
+        return endOfYear
+            ? new Date(Date.UTC(Number(value), 11, 31, 23, 59, 59, 999))
+            : new Date(Date.UTC(Number(value), 0, 1));
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw badRequest(`${name} must be a year or an ISO date`);
+    return date;
+}
+
+function parseListQuery(query) {
+    const q = stringParam(query, "q");
+    const sortName = stringParam(query, "sort") || (q ? "relevance" : "date");
+    if (!SORTS[sortName]) throw badRequest(`sort must be one of ${Object.keys(SORTS).join(", ")}`);
+    if (sortName === "relevance" && !q) throw badRequest("sort=relevance needs a search query (q)");
+
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw badRequest(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+
+    const courts = stringParam(query, "court")?.split(",").map(c => c.trim()).filter(Boolean);
+    const dateFrom = dateParam(query, "dateFrom", false);
+    const dateTo = dateParam(query, "dateTo", true);
+    if (dateFrom && dateTo && dateFrom > dateTo) throw badRequest("dateFrom must not be after dateTo");
+
+    return {
+        q,
+        courts,
+        author: stringParam(query, "author"),
+        bench: stringParam(query, "bench"),
+        citation: stringParam(query, "citation"),
+        dateFrom,
+        dateTo,
+        sort: SORTS[sortName],
+        limit,
+        cursor: decodeCursor(stringParam(query, "cursor")),
+        facets: query.facets === "true" || (query.facets !== "false" && !query.cursor),
+    };
+}
+
+function toMatch(params) {
+    const match = {};
+    if (params.q) match.$text = { $search: params.q };
+    if (params.courts?.length) {
+        match.Court_Name = { $in: params.courts.map(c => new RegExp(`^${escapeRegex(c)}$`, "i")) };
+    }
+    if (params.author) match.Judgment_Author = new RegExp(escapeRegex(params.author), "i");
+    if (params.bench) match.Bench = new RegExp(escapeRegex(params.bench), "i");
+    if (params.citation) match.Citations = new RegExp(escapeRegex(params.citation), "i");
+    if (params.dateFrom || params.dateTo) {
+        match.Judgment_Date = {};
+        if (params.dateFrom) match.Judgment_Date.$gte = params.dateFrom;
+        if (params.dateTo) match.Judgment_Date.$lte = params.dateTo;
+    }
+    return match;
+}
+
+function encodeCursor(doc, { field }) {
+    const value = doc[field] instanceof Date ? { $date: doc[field].toISOString() } : doc[field] ?? null;
+    return Buffer.from(JSON.stringify({ v: value, id: String(doc._id) })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+    if (!cursor) return null;
+    try {
+        const { v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+        if (!mongoose.isValidObjectId(id)) throw new Error("bad id");
+        return { value: v?.$date ? new Date(v.$date) : v, id: new mongoose.Types.ObjectId(id) };
+    } catch {
+        throw badRequest("Invalid cursor");
+    }
+}
+
+// Documents strictly after the cursor in (field, _id) order. Missing values
+// (cases without a date) sort lowest in MongoDB; cases ingested before dates
+// were stored get theirs from scripts/backfillJudgmentDates.js.
+function afterCursor({ value, id }, { field, direction }) {
+    const op = direction === 1 ? "$gt" : "$lt";
+    const sameValue = { [field]: value, _id: { [op]: id } };
+    if (value === null) {
+        return direction === 1
+            ? { $or: [sameValue, { [field]: { $ne: null } }] }
+            : sameValue;
+    }
+    const beyond = direction === 1 ? { [field]: { $gt: value } } : { [field]: { $lt: value } };
+    // Ascending order reaches the nulls first, so only descending needs them after the cursor
+    return direction === 1
+        ? { $or: [beyond, sameValue] }
+        : { $or: [beyond, sameValue, { [field]: null }] };
+}
+
+async function facetCounts(match) {
+    const [result] = await Case.aggregate([
+        { $match: match },
+        {
+            $facet: {
+                total: [{ $count: "count" }],
+                courts: [
+                    { $group: { _id: "$Court_Name", count: { $sum: 1 } } },
+                    { $sort: { count: -1 } },
+                    { $limit: FACET_SIZE },
+                ],
+                authors: [
+                    { $match: { Judgment_Author: { $nin: [null, "", "Not Found"] } } },
+                    { $group: { _id: "$Judgment_Author", count: { $sum: 1 } } },
+                    { $sort: { count: -1 } },
+                    { $limit: FACET_SIZE },
+                ],
+                years: [
+                    { $match: { Judgment_Date: { $ne: null } } },
+                    { $group: { _id: { $year: "$Judgment_Date" }, count: { $sum: 1 } } },
+                    { $sort: { _id: -1 } },
+                ],
+            },
+        },
+    ]);
+
+    const toList = (buckets) => buckets.map(({ _id, count }) => ({ value: _id, count }));
+    return {
+        total: result.total[0]?.count || 0,
+        courts: toList(result.courts),
+        authors: toList(result.authors),
+        years: toList(result.years),
+    };
+}
+
+const listCases = async (req, res) => {
+    try {
+        let params;
+        try {
+            params = parseListQuery(req.query);
+        } catch (error) {
+            if (error.status !== 400) throw error;
+            return res.status(400).json({ message: error.message, success: false });
+        }
+
+        const match = toMatch(params);
+        const { sort, limit, cursor } = params;
+
+        const pipeline = [{ $match: match }];
+        if (params.q) pipeline.push({ $addFields: { score: { $meta: "textScore" } } });
+        if (cursor) pipeline.push({ $match: afterCursor(cursor, sort) });
+        pipeline.push(
+            { $sort: { [sort.field]: sort.direction, _id: sort.direction } },
+            { $limit: limit + 1 },
+            { $project: { ...LIST_PROJECTION, ...(params.q && { score: 1 }) } },
+        );
+
+        const [docs, facets] = await Promise.all([
+            Case.aggregate(pipeline),
+            params.facets ? facetCounts(match) : null,
+        ]);
+
+        const hasMore = docs.length > limit;
+        const cases = docs.slice(0, limit);
+
+        return res.status(200).json({
+            data: {
+                cases,
+                next_cursor: hasMore ? encodeCursor(cases[cases.length - 1], sort) : null,
+                ...(facets && { facets }),
+            },
+            message: "Cases found",
+            success: true,
+        });
+    } catch (error) {
+        return res.status(500).json({
+            message: error.message,
+            success: false,
+        });
+    }
+}
 
 const getCaseByID = async (req, res) => {
     try {
@@ -20,4 +249,49 @@ const getCaseByID = async (req, res) => {
     }
 }
 
-export { getCaseByID };
\ No newline at end of file
+// --- CITATION GRAPH ---
+// GET /api/cases/:id/cites and /api/cases/:id/cited-by
+// ?depth=1..3&treatment=followed,distinguished,overruled,referred
+
+const TREATMENT_LABELS = ["followed", "distinguished", "overruled", "referred"];
+
+const citationGraphHandler = (direction) => async (req, res) => {
+    try {
+        const depth = req.query.depth === undefined ? 1 : Number(req.query.depth);
+        if (!Number.isInteger(depth) || depth < 1 || depth > 3) {
+            return res.status(400).json({ message: "depth must be 1, 2 or 3", success: false });
+        }
+
+        const treatments = typeof req.query.treatment === "string"
+            ? req.query.treatment.split(",").map(t => t.trim()).filter(Boolean)
+            : null;
+        if (treatments?.some(t => !TREATMENT_LABELS.includes(t))) {
+            return res.status(400).json({
+                message: `treatment must be one of ${TREATMENT_LABELS.join(", ")}`,
+                success: false,
+            });
+        }
+
+        const exists = await Case.exists({ Case_id: req.params.id });
+        if (!exists) {
+            return res.status(404).json({ message: "Case not found", success: false });
+        }
+
+        const graph = await getCitationGraph(req.params.id, { direction, depth, treatments });
+        return res.status(200).json({
+            data: { case_id: req.params.id, direction, depth, ...graph },
+            message: "Citation graph found",
+            success: true,
+        });
+    } catch (error) {
+        return res.status(500).json({
+            message: error.message,
+            success: false,
+        });
+    }
+}
+
+const getCitedCases = citationGraphHandler("cites");
+const getCitingCases = citationGraphHandler("cited_by");
+
+export { getCaseByID, listCases, getCitedCases, getCitingCases };
\ No newline at end of file
@@ -1,7 +1,11 @@
+import mongoose from "mongoose";
 import Chats from "../models/chathistory.model.js";
 import axios from "axios";
 import { streamLegalAssistantResponse } from "../utils/service.js";
 import User from "../models/user.model.js";
+import { parseSearchFilters } from "../utils/searchFilters.js";
+import { activePath, appendMessage, ensureTree, selectBranch, serializeChat, toModelHistory } from "../utils/chatTree.js";
+import { fallbackTitle, generateChatTitle, MAX_TITLE_CHARS } from "../utils/chatTitles.js";
 const MODEL_API = process.env.MODEL_API;
 
 const chatdemo = {
@@ -17,21 +21,34 @@ const chatdemo = {
   }
 }
 
+// Chat list for the sidebar: titles and counts, no history (getChat has it)
 export const getChats = async (req, res) => {
-  console.log("hello")
   try {
-    const userId = req.user._id;
-    console.log("hello")
-    const chats = await Chats.find({
-      user: userId,
-    })
-
-    console.log(chats);
+    const chats = await Chats.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(String(req.user._id)) } },
+      { $sort: { ispinned: -1, lastMessageAt: -1, _id: -1 } },
+      {
+        $project: {
+          chatId: 1,
+          title: 1,
+          titleEdited: 1,
+          ispinned: 1,
+          filters: 1,
+          lastMessageAt: 1,
+          messageCount: { $size: "$chatHistory" },
+          firstMessage: { $arrayElemAt: ["$chatHistory.user", 0] },
+        },
+      },
+    ]);
 
     return res.status(200).json({
       message: "Chats found",
       success: true,
-      data: chats,
+      // Chats from before titles existed show their first question
+      data: chats.map(({ firstMessage, ...chat }) => ({
+        ...chat,
+        title: chat.title || (firstMessage ? fallbackTitle(firstMessage) : "New chat"),
+      })),
     })
   } catch (error) {
     console.error("Error getting chats:", error);
@@ -94,7 +111,7 @@ export const getChat = async (req, res) => {
       return res.status(200).json({
         message: "Chat found",
         success: true,
-        data: chat,
+        data: serializeChat(chat),
       });
     } 
 
@@ -117,6 +134,175 @@ export const getChat = async (req, res) => {
   }
 };
 
+// --- Shared by every endpoint that generates an answer ---
+
+// chatId -> AbortController of the answer being streamed in this process
+const activeGenerations = new Map();
+
+// Takes the chat's generation slot. The check and the set run without an
+// await in between, so two requests cannot both get it; the slot is freed
+// when the response closes, whichever way the request ends.
+const reserveGeneration = (res, chatId) => {
+  if (activeGenerations.has(chatId)) return null;
+  const controller = new AbortController();
+  activeGenerations.set(chatId, controller);
+  res.on("close", () => releaseGeneration(chatId, controller));
+  return controller;
+};
+
+const releaseGeneration = (chatId, controller) => {
+  if (activeGenerations.get(chatId) === controller) activeGenerations.delete(chatId);
+};
+
+// Pre-SSE validation (must happen BEFORE headers are sent). Responds and
+// returns null when the turn cannot go ahead, otherwise { user, controller }.
+const prepareTurn = async (req, res, chat) => {
+  // Filters are optional; when sent they replace the chat's saved scope
+  // (send `filters: null` to clear it)
+  let filters;
+  try {
+    filters = parseSearchFilters(req.body.filters);
+  } catch (error) {
+    res.status(400).json({ message: error.message, success: false });
+    return null;
+  }
+
+  if (req.user._id.toString() !== chat.user.toString()) {
+    res.status(401).json({ message: "Unauthorized" });
+    return null;
+  }
+
+  const controller = reserveGeneration(res, chat.chatId);
+  if (!controller) {
+    res.status(409).json({ message: "An answer is already being generated for this chat", success: false });
+    return null;
+  }
+
+  const user = await User.findById(req.user._id);
+  if (user.uses >= 10) {
+    res.status(403).json({
+      message: "User has exceeded the maximum number of uses",
+      success: false,
+    });
+    return null;
+  }
+
+  if (req.body.filters !== undefined) {
+    chat.filters = filters;
+  }
+  ensureTree(chat);
+  return { user, controller };
+};
+
+const findChat = async (req, res) => {
+  const chat = await Chats.findOne({ chatId: req.params.chatId });
+  if (!chat) {
+    res.status(404).json({ message: "Chat not found", success: false });
+    return null;
+  }
+  return chat;
+};
+
+// Opens the SSE stream, counts the use and answers `userNode`, saving the
+// answer as its child. The `branch` event tells the client which messages
+// this turn created. Generation stops when the client disconnects or
+// POST /:chatId/stop is called; what was streamed by then (or before an
+// error) is saved with `interrupted: true`, so a question is never left
+// without an answer.
+const streamAnswer = async (res, chat, { user, controller }, userNode) => {
+  // --- Setup for Server-Sent Events (SSE) - AFTER validation ---
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders(); // Flush the headers to establish the connection
+
+  // --- Update user usage count ---
+  user.uses += 1;
+  await user.save();
+  await chat.save();
+
+  const replyId = new mongoose.Types.ObjectId();
+  res.write(`event: branch\ndata: ${JSON.stringify({ messageId: userNode._id, replyId, parentId: userNode.parent })}\n\n`);
+
+  // History is the active branch up to, not including, the question
+  const path = activePath(chat);
+  const formattedHistory = toModelHistory(path.slice(0, path.findIndex(node => node._id.equals(userNode._id))));
+
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort("client_disconnected");
+  });
+
+  // --- Streaming Logic ---
+  let result;
+  let failure = null;
+  try {
+    result = await streamLegalAssistantResponse(userNode.user, formattedHistory, res, {
+      filters: chat.filters ? chat.filters.toObject() : null,
+      signal: controller.signal,
+    });
+  } catch (error) {
+    failure = error;
+    result = {
+      answer: error.partialAnswer || "",
+      sources: error.sources || [],
+      citations: [],
+      statuteMap: [],
+      searchQuery: error.searchQuery,
+      interrupted: true,
+    };
+  } finally {
+    releaseGeneration(chat.chatId, controller);
+  }
+
+  // --- Save the AI response to the database AFTER the stream has finished ---
+  const { answer, sources, citations, statuteMap, searchQuery, interrupted } = result;
+  appendMessage(chat, userNode._id, {
+    _id: replyId,
+    user: undefined,
+    ai: {
+      text: answer,
+      sources: sources,
+      citations: citations,
+      statuteMap: statuteMap,
+      searchQuery: searchQuery,
+      interrupted: interrupted,
+      interruptReason: failure ? "error" : (interrupted ? String(controller.signal.reason) : undefined),
+    },
+  });
+  await chat.save();
+
+  if (failure) throw failure;
+
+  // --- Title the chat after its first exchange ---
+  // Sent after `end`; a client that closes on `end` picks it up from getChats
+  if (!chat.title && !chat.titleEdited) {
+    const [firstQuestion, firstAnswer] = activePath(chat);
+    const title = interrupted
+      ? fallbackTitle(firstQuestion.user)
+      : await generateChatTitle(firstQuestion.user, firstAnswer?.ai?.text);
+    // Conditional, so a rename made meanwhile wins
+    const { modifiedCount } = await Chats.updateOne({ chatId: chat.chatId, title: null, titleEdited: { $ne: true } }, { $set: { title } });
+    if (modifiedCount > 0 && !res.writableEnded && !res.destroyed) {
+      res.write(`event: title\ndata: ${JSON.stringify({ title })}\n\n`);
+    }
+  }
+
+  // End the response stream
+  res.end();
+};
+
+const streamFailed = (res, error) => {
+  console.error("Error in streaming chat update:", error);
+  // If an error occurs, try to send an error event before closing
+  if (!res.headersSent) {
+    res.status(500).json({ message: "Internal Server Error" });
+  } else if (!res.writableEnded && !res.destroyed) {
+    res.write(`event: error\ndata: ${JSON.stringify({ message: "An error occurred." })}\n\n`);
+    res.end();
+  }
+};
+
+// POST /update-chat/:chatId  { userMessage, filters? }  continue the active branch
 export const updateChat = async (req, res) => {
   try {
     const { chatId } = req.params;
@@ -126,79 +312,250 @@ export const updateChat = async (req, res) => {
       return res.status(400).json({ message: "User message is required" });
     }
 
-    // --- Pre-SSE validation (must happen BEFORE headers are sent) ---
     let chat = await Chats.findOne({ chatId });
     if (!chat) {
       chat = await Chats.create({ chatId, user: req.user._id });
     }
+    const turn = await prepareTurn(req, res, chat);
+    if (!turn) return;
+
+    const userNode = appendMessage(chat, chat.activeLeaf, { user: userMessage, ai: undefined });
+    await streamAnswer(res, chat, turn, userNode);
+  } catch (error) {
+    streamFailed(res, error);
+  }
+};
+
+// POST /:chatId/regenerate  { filters? }
+// Another answer to the last question; the previous answer stays as a sibling branch
+export const regenerateAnswer = async (req, res) => {
+  try {
+    const chat = await findChat(req, res);
+    if (!chat) return;
+    const turn = await prepareTurn(req, res, chat);
+    if (!turn) return;
+
+    const path = activePath(chat);
+    // The last message is an answer, or a question whose answer never arrived
+    const userNode = [...path].reverse().find(node => node.user);
+    if (!userNode) {
+      return res.status(400).json({ message: "There is no question to answer again", success: false });
+    }
+
+    await streamAnswer(res, chat, turn, userNode);
+  } catch (error) {
+    streamFailed(res, error);
+  }
+};
+
+// POST /:chatId/messages/:index/edit  { userMessage, filters? }
+// `index` is the position in the chatHistory returned by getChat. The edited
+// question starts a new branch next to the original one.
+export const editMessage = async (req, res) => {
+  try {
+    const { userMessage } = req.body;
+    if (!userMessage) {
+      return res.status(400).json({ message: "User message is required" });
+    }
+
+    const chat = await findChat(req, res);
+    if (!chat) return;
+    const turn = await prepareTurn(req, res, chat);
+    if (!turn) return;
+
+    const index = Number(req.params.index);
+    const original = Number.isInteger(index) ? activePath(chat)[index] : undefined;
+    if (!original) {
+      return res.status(404).json({ message: "Message not found", success: false });
+    }
+    if (!original.user) {
+      return res.status(400).json({ message: "Only your own messages can be edited", success: false });
+    }
+
+    const userNode = appendMessage(chat, original.parent, { user: userMessage, ai: undefined });
+    await streamAnswer(res, chat, turn, userNode);
+  } catch (error) {
+    streamFailed(res, error);
+  }
+};
+
+// POST /:chatId/stop  stop the answer being generated; the partial answer is
+// saved as interrupted and the stream ends with an `end` event
+export const stopGeneration = async (req, res) => {
+  try {
+    const chat = await findChat(req, res);
+    if (!chat) return;
     if (req.user._id.toString() !== chat.user.toString()) {
       return res.status(401).json({ message: "Unauthorized" });
     }
 
-    const user = await User.findById(req.user._id);
-    if (user.uses >= 10) {
-      return res.status(403).json({
-        message: "User has exceeded the maximum number of uses",
-        success: false,
-      });
+    const controller = activeGenerations.get(chat.chatId);
+    if (!controller) {
+      return res.status(409).json({ message: "No answer is being generated for this chat", success: false });
     }
+    controller.abort("stopped");
 
-    // --- Setup for Server-Sent Events (SSE) - AFTER validation ---
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.flushHeaders(); // Flush the headers to establish the connection
-
-    // --- Update user usage count ---
-    user.uses += 1;
-    await user.save();
-    
-    const userMsg = {
-      user: userMessage,
-      ai: undefined,
-      timestamp: new Date(),
-    };
-    chat.chatHistory.push(userMsg);
-    await chat.save();
+    return res.status(200).json({ message: "Generation stopped", success: true });
+  } catch (error) {
+    console.error("Error stopping generation:", error);
+    return res.status(500).json({
+      message: "Internal Server Error",
+      success: false,
+    });
+  }
+};
 
-    const formattedHistory = chat.chatHistory
-      .slice(0, -1)
-      .flatMap((msg) => {
-        const history = [];
-        if (msg.user) history.push({ role: "user", content: msg.user });
-        // Make sure to check for ai and ai.text existence
-        if (msg.ai && msg.ai.text) history.push({ role: "assistant", content: msg.ai.text });
-        return history;
-      });
+// --- Search ---
+
+const SEARCH_SNIPPET_CHARS = 160;
+const MAX_MATCHES_PER_CHAT = 5;
+
+// $text matches stemmed words ("bailing" finds "bail"), so snippets look for
+// the term with common suffixes dropped, as a word prefix
+function searchPattern(q) {
+  const terms = q.toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [];
+  if (terms.length === 0) return null;
+  const prefixes = terms.map((term) => {
+    const stem = term.replace(/(?:ing|ed|es|s)$/, "");
+    return stem.length >= 3 ? stem : term;
+  });
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${prefixes.join("|")})`, "iu");
+}
 
-    // --- Streaming Logic ---
-    // Call the new streaming function and pass the response object `res`
-    const { answer, sources } = await streamLegalAssistantResponse(userMessage, formattedHistory, res);
+function snippetAround(text, pattern) {
+  const match = pattern.exec(text);
+  if (!match) return null;
+  const start = Math.max(0, match.index - SEARCH_SNIPPET_CHARS / 2);
+  const end = Math.min(text.length, start + SEARCH_SNIPPET_CHARS);
+  const snippet = text.slice(start, end).replace(/\s+/g, " ").trim();
+  return `${start > 0 ? "…" : ""}${snippet}${end < text.length ? "…" : ""}`;
+}
 
-    // --- Save the final AI response to the database AFTER the stream has finished ---
-    const newMessage = {
-      user: undefined,
-      ai: {
-        text: answer,
-        sources: sources
-      },
-      timestamp: new Date(),
-    };
-    chat.chatHistory.push(newMessage);
-    await chat.save();
+// Matches in one chat. `index` is the message's position in the chatHistory
+// getChat returns, or null when it sits on a branch that is not shown.
+function chatMatches(chat, pattern) {
+  ensureTree(chat);
+  const pathIndex = new Map(activePath(chat).map((node, index) => [node._id.toString(), index]));
+  const matches = [];
+  const add = (node, role, text) => {
+    const snippet = text && snippetAround(text, pattern);
+    if (!snippet) return;
+    matches.push({ messageId: node._id, index: pathIndex.get(node._id.toString()) ?? null, role, snippet });
+  };
+
+  for (const node of chat.chatHistory) {
+    add(node, "user", node.user);
+    add(node, "ai", node.ai?.text);
+    for (const source of node.ai?.sources || []) add(node, "source", source.case_title);
+  }
+  // Messages on the branch being shown first
+  return matches.sort((a, b) => (a.index === null) - (b.index === null));
+}
 
-    // End the response stream
-    res.end();
+// GET /search?q=&limit=20  the user's chats matching q in questions, answers,
+// cited case titles and chat titles, best first
+export const searchChats = async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim();
+    const pattern = q.length >= 2 && q.length <= 200 ? searchPattern(q) : null;
+    if (!pattern) {
+      return res.status(400).json({ message: "q must be 2 to 200 characters with at least one word", success: false });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+
+    const chats = await Chats.find(
+      { user: req.user._id, $text: { $search: q } },
+      { score: { $meta: "textScore" } }
+    )
+      .sort({ score: { $meta: "textScore" } })
+      .limit(limit);
+
+    const data = chats.map((chat) => {
+      const matches = chatMatches(chat, pattern);
+      const titleMatch = chat.title ? snippetAround(chat.title, pattern) : null;
+      return {
+        chatId: chat.chatId,
+        title: chat.title || fallbackTitle(chat.chatHistory.find(node => node.user)?.user || "New chat"),
+        titleMatch: Boolean(titleMatch),
+        score: chat.get("score"),
+        matchCount: matches.length,
+        matches: matches.slice(0, MAX_MATCHES_PER_CHAT),
+      };
+    });
 
+    return res.status(200).json({
+      message: "Search results",
+      success: true,
+      data,
+    });
   } catch (error) {
-    console.error("Error in streaming chat update:", error);
-    // If an error occurs, try to send an error event before closing
-    if (!res.headersSent) {
-        res.status(500).json({ message: "Internal Server Error" });
-    } else {
-        res.write(`event: error\ndata: ${JSON.stringify({ message: "An error occurred." })}\n\n`);
-        res.end();
+    console.error("Error searching chats:", error);
+    return res.status(500).json({
+      message: "Internal Server Error",
+      success: false,
+    });
+  }
+};
+
+// POST /:chatId/rename  { title }
+export const renameChat = async (req, res) => {
+  try {
+    const title = typeof req.body.title === "string" ? req.body.title.replace(/\s+/g, " ").trim() : "";
+    if (!title || title.length > MAX_TITLE_CHARS) {
+      return res.status(400).json({ message: `Title must be 1 to ${MAX_TITLE_CHARS} characters`, success: false });
     }
+
+    const chat = await findChat(req, res);
+    if (!chat) return;
+    if (req.user._id.toString() !== chat.user.toString()) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    chat.title = title;
+    chat.titleEdited = true;
+    await chat.save();
+
+    return res.status(200).json({
+      message: "Chat renamed",
+      success: true,
+      data: { chatId: chat.chatId, title: chat.title },
+    });
+  } catch (error) {
+    console.error("Error renaming chat:", error);
+    return res.status(500).json({
+      message: "Internal Server Error",
+      success: false,
+    });
+  }
+};
+
+// POST /:chatId/branch  { messageId }  show the branch through messageId
+// (usually one of the branch.siblingIds of a message)
+export const switchBranch = async (req, res) => {
+  try {
+    const chat = await findChat(req, res);
+    if (!chat) return;
+    if (req.user._id.toString() !== chat.user.toString()) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    ensureTree(chat);
+    if (!mongoose.isValidObjectId(req.body.messageId) || !selectBranch(chat, req.body.messageId)) {
+      return res.status(404).json({ message: "Message not found", success: false });
+    }
+    await chat.save();
+
+    return res.status(200).json({
+      message: "Branch selected",
+      success: true,
+      data: serializeChat(chat),
+    });
+  } catch (error) {
+    console.error("Error switching branch:", error);
+    return res.status(500).json({
+      message: "Internal Server Error",
+      success: false,
+    });
   }
 };
 
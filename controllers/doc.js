@@ -1,4 +1,25 @@
 import Document from "../models/document.model.js";
+import { normalizeStatutes } from "../utils/statutes.js";
+
+// Clients send the LSI map from /api/summarize as `statutes`; store canonical IDs instead.
+// A document sent back with its stored canonical entries keeps its saved
+// unrecognized_statutes, since those entries no longer carry the raw items.
+function withCanonicalStatutes(body) {
+  if (!body.statutes) return body;
+  const { statutes, unrecognized } = normalizeStatutes(body.statutes);
+  const hasRawItems = !Array.isArray(body.statutes) || body.statutes.some((item) => typeof item === "string");
+  return hasRawItems ? { ...body, statutes, unrecognized_statutes: unrecognized } : { ...body, statutes };
+}
+
+// original_file comes from the summarize response; only the user's own
+// uploads can be attached to their documents
+function withOwnOriginalFile(body, userId) {
+  if (!body.original_file) return body;
+  const key = body.original_file.key;
+  if (typeof key === "string" && key.startsWith(`uploads/${userId}/`) && !key.includes("..")) return body;
+  const { original_file, ...rest } = body;
+  return rest;
+}
 
 export const getUserDocs = async (req, res) => {
   try {
@@ -38,7 +59,7 @@ export const createDoc = async (req, res) => {
   try {
     const doc = await Document.create({
       user: req.user._id,
-      ...req.body,
+      ...withOwnOriginalFile(withCanonicalStatutes(req.body), req.user._id),
     });
 
     res.status(201).json({ success: true, data: doc });
@@ -52,7 +73,7 @@ export const createDoc = async (req, res) => {
 export const updateDoc = async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const updates = withOwnOriginalFile(withCanonicalStatutes(req.body), req.user._id);
     const doc = await Document.findByIdAndUpdate(id, updates);
     if (!doc)
       return res
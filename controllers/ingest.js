@@ -0,0 +1,53 @@
+import Case from "../models/case.model.js";
+import IngestionLog from "../models/ingestionLog.model.js";
+import { ingestCase } from "../utils/ingestion.js";
+import { getSource } from "../utils/sources/index.js";
+
+// GET /upload/:docid                   scrape, store and index a judgment
+// GET /upload/:docid?reembed=1         re-embed a case that is already indexed (admins)
+// GET /upload/:docid?refresh=1         re-fetch an indexed case, re-index if it changed (admins)
+// GET /upload/:docid?source=liiofindia another court source (utils/sources/),
+//                                      docid URL-encoded: cen%2FINSC%2F1973%2F90
+export const ingestDocument = async (req, res) => {
+  const { docid } = req.params;
+  const reembed = ["1", "true"].includes(req.query.reembed);
+  const refresh = ["1", "true"].includes(req.query.refresh);
+  const source = req.query.source || undefined;
+
+  try {
+    const { case: caseDoc, skipped, result } = await ingestCase(docid, { reembed, refresh, source });
+    res.json({ ...caseDoc.toObject(), skipped, result });
+  } catch (error) {
+    console.error(`Ingestion of ${docid} failed:`, error.message);
+    res.status(error.status || 500).json({ error: error.message, stage: error.stage || null });
+  }
+};
+
+// GET /upload/:docid/status[?source=]
+export const getIngestionStatus = async (req, res) => {
+  try {
+    const caseId = getSource(req.query.source || undefined).caseId(req.params.docid);
+    const caseDoc = await Case.findOne({ Case_id: caseId }).select("Case_id Case_Title source ingestion");
+    if (!caseDoc) {
+      return res.status(404).json({ error: "Case not found" });
+    }
+    res.json({ Case_id: caseDoc.Case_id, Case_Title: caseDoc.Case_Title, source: caseDoc.source, ingestion: caseDoc.ingestion });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+// GET /upload/failures?limit=50&case_id=&source=  most recent first
+export const listIngestionFailures = async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const filter = {};
+  if (req.query.case_id) filter.case_id = String(req.query.case_id);
+  if (req.query.source) filter.source = String(req.query.source);
+
+  try {
+    const failures = await IngestionLog.find(filter).sort({ created_at: -1 }).limit(limit).select("-__v").lean();
+    res.json({ failures });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,38 @@
+import { MAPPING_VERSION, mapStatuteReference } from "../utils/statuteMapping.js";
+
+// GET /api/statutes/map?ref=Section 302 IPC (or a canonical id like IPC:302)
+export const mapStatute = async (req, res) => {
+  try {
+    const ref = typeof req.query.ref === "string" ? req.query.ref.trim() : "";
+    if (!ref || ref.length > 300) {
+      return res.status(400).json({
+        message: "ref is required, e.g. ?ref=Section 302 IPC",
+        success: false,
+      });
+    }
+
+    const { statutes, reason } = mapStatuteReference(ref);
+    if (statutes.length === 0) {
+      return res.status(404).json({
+        message: `Could not recognise "${ref}": ${reason}`,
+        success: false,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ref,
+        version: MAPPING_VERSION,
+        statutes,
+        warning: reason,
+      },
+    });
+  } catch (error) {
+    console.error("Error mapping statute:", error);
+    return res.status(500).json({
+      message: "Internal Server Error",
+      success: false,
+    });
+  }
+};
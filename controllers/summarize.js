@@ -1,55 +1,303 @@
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
 import { summarizeLegalDocument } from "../utils/service.js";
+import { parseSearchFilters } from "../utils/searchFilters.js";
+import { extractUploadedText } from "../utils/documentText.js";
+import { uploadToR2, R2_BUCKET } from "../utils/storage.js";
+import Job from "../models/job.model.js";
+import { enqueueJob, cancelJob, registerJobHandler } from "../utils/jobQueue.js";
 
-export const summarizeDocument = async (req, res) => {
+// Multipart fields arrive as strings
+function parseFiltersField(value) {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new Error("filters must be valid JSON");
+  }
+}
+
+// Shared by the synchronous endpoint and the job endpoint. Returns
+// { input_text, filters, file, original } or throws an error carrying a 4xx
+// status. `original` is the upload to keep in R2 once the summary succeeds.
+async function prepareSummaryInput(req) {
+  let input_text = req.body.input_text;
+  let file = null;
+  let original = null;
+
+  let filters;
   try {
-    let { input_text } = req.body;
+    filters = parseSearchFilters(parseFiltersField(req.body.filters));
+  } catch (error) {
+    error.status = 400;
+    throw error;
+  }
+
+  // Uploaded PDF/DOCX/TXT takes the place of input_text
+  if (req.file) {
+    const extracted = await extractUploadedText(req.file);
+    input_text = extracted.text;
+    file = extracted.metadata;
+
+    if (req.body.store_original === "true") {
+      original = {
+        data: req.file.buffer,
+        extension: path.extname(req.file.originalname || "").toLowerCase(),
+        content_type: req.file.mimetype,
+      };
+    }
+  }
 
-    // Validate input
-    if (!input_text || input_text.trim().length === 0) {
-      return res.status(400).json({
-        message: "Input text is required",
+  // Validate input
+  if (!input_text || input_text.trim().length === 0) {
+    const error = new Error("Input text or a file is required");
+    error.status = 400;
+    throw error;
+  }
+
+  return { input_text, filters, file, original };
+}
+
+// Uploads the kept original to R2. The result is returned as `original_file`;
+// clients save it on the Document by passing it to POST /api/doc, which only
+// accepts keys under the user's own uploads/ prefix.
+async function storeOriginal(userId, original, file) {
+  if (!original) return null;
+  // Job inputs come back from Mongo as BSON Binary
+  const data = Buffer.isBuffer(original.data) ? original.data : Buffer.from(original.data.buffer);
+  const key = `uploads/${userId}/${uuidv4()}${original.extension}`;
+  const url = await uploadToR2(R2_BUCKET, key, data, original.content_type);
+  return {
+    key,
+    url,
+    filename: file?.filename,
+    content_type: original.content_type,
+    size: data.length,
+    page_count: file?.page_count,
+  };
+}
+
+function toSummaryData(result, file, originalFile = null) {
+  const { summary, sources, legalStatutes, statutes, unrecognizedStatutes, citations, brief, briefValid, coverage } = result;
+  return {
+    summary_text: summary,
+    paths: sources,
+    legalStatutes: legalStatutes || {},
+    statutes,
+    unrecognized_statutes: unrecognizedStatutes,
+    citations,
+    brief,
+    brief_valid: briefValid,
+    coverage,
+    file,
+    original_file: originalFile,
+  };
+}
+
+function summaryErrorMessage(error) {
+  if (error.message.includes("empty")) {
+    return "Input text is empty after preprocessing";
+  } else if (error.message.includes("Failed to generate")) {
+    return "Failed to generate summary. Please try again.";
+  }
+  return "Internal Server Error";
+}
+
+export const summarizeDocument = async (req, res) => {
+  try {
+    let input;
+    try {
+      input = await prepareSummaryInput(req);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({
+        message: error.message,
         success: false,
       });
     }
+    const { input_text, filters, file, original } = input;
 
-    // Check if text is too long (prevent excessive token usage)
-    // Rough estimate: 1 word = ~1.3 tokens, limit to ~30k tokens input
+    // Long documents are chunked and summarized map-reduce style in the
+    // service, which reports how much of the text was covered
     const wordCount = input_text.split(/\s+/).length;
-    
-    // Truncate to 10000 words if too long
-    if (wordCount > 10000) {
-      input_text = input_text.split(/\s+/).slice(0, 10000).join(" ");
-      console.log(`Text truncated from ${wordCount} to 10000 words`);
-    }
-
-    console.log(`Summarizing document with ${Math.min(wordCount, 10000)} words...`);
+    console.log(`Summarizing document with ${wordCount} words...`);
 
     // Call the summarization function (now includes LSI)
-    const { summary, sources, legalStatutes } = await summarizeLegalDocument(input_text);
+    const result = await summarizeLegalDocument(input_text, { filters });
+    const originalFile = await storeOriginal(req.user._id, original, file);
 
     return res.status(200).json({
       message: "Document summarized successfully",
       success: true,
-      data: {
-        summary_text: summary,
-        paths: sources,
-        legalStatutes: legalStatutes || {},
-      },
+      data: toSummaryData(result, file, originalFile),
     });
 
   } catch (error) {
     console.error("Error in summarizeDocument:", error);
 
     // Return user-friendly error message
-    let errorMessage = "Internal Server Error";
-    if (error.message.includes("empty")) {
-      errorMessage = "Input text is empty after preprocessing";
-    } else if (error.message.includes("Failed to generate")) {
-      errorMessage = "Failed to generate summary. Please try again.";
+    return res.status(500).json({
+      message: summaryErrorMessage(error),
+      success: false,
+    });
+  }
+};
+
+// --- BACKGROUND SUMMARY JOBS ---
+// Long judgments can take minutes. Clients enqueue a job, then poll it or
+// follow its progress over SSE. The worker is started from index.js.
+
+registerJobHandler("summarize", async (job, { progress }) => {
+  const { input_text, filters, file, original } = job.input;
+  const result = await summarizeLegalDocument(input_text, { filters, onProgress: progress });
+  const originalFile = await storeOriginal(job.user, original, file);
+  // The upload is in R2 now; do not keep a second copy on the job
+  if (original) await Job.updateOne({ jobId: job.jobId }, { $unset: { "input.original": 1 } });
+  return toSummaryData(result, file, originalFile);
+});
+
+function toJobResponse(job) {
+  return {
+    jobId: job.jobId,
+    status: job.status,
+    progress: job.progress,
+    attempts: job.attempts,
+    error: job.status === "failed" ? summaryErrorMessage({ message: job.error || "" }) : null,
+    result: job.status === "completed" ? job.result : null,
+    created_at: job.created_at,
+    finished_at: job.finished_at,
+  };
+}
+
+const TERMINAL_STATUSES = ["completed", "failed", "cancelled"];
+
+export const createSummaryJob = async (req, res) => {
+  try {
+    let input;
+    try {
+      input = await prepareSummaryInput(req);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({
+        message: error.message,
+        success: false,
+      });
+    }
+
+    const job = await enqueueJob("summarize", req.user._id, input);
+
+    return res.status(202).json({
+      message: "Summary job queued",
+      success: true,
+      data: toJobResponse(job),
+    });
+  } catch (error) {
+    console.error("Error in createSummaryJob:", error);
+    return res.status(500).json({
+      message: "Internal Server Error",
+      success: false,
+    });
+  }
+};
+
+export const getSummaryJob = async (req, res) => {
+  try {
+    const job = await Job.findOne({ jobId: req.params.jobId, user: req.user._id }).select("-input");
+    if (!job) {
+      return res.status(404).json({
+        message: "Job not found",
+        success: false,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: toJobResponse(job),
+    });
+  } catch (error) {
+    console.error("Error in getSummaryJob:", error);
+    return res.status(500).json({
+      message: "Internal Server Error",
+      success: false,
+    });
+  }
+};
+
+// SSE: a "progress" event whenever the job changes, then "end" with the final state
+export const streamSummaryJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const exists = await Job.exists({ jobId, user: req.user._id });
+    if (!exists) {
+      return res.status(404).json({
+        message: "Job not found",
+        success: false,
+      });
+    }
+
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    res.flushHeaders();
+
+    let lastSent = null;
+    let closed = false;
+    req.on("close", () => {
+      closed = true;
+    });
+
+    while (!closed) {
+      const job = await Job.findOne({ jobId }).select("-input");
+      const payload = JSON.stringify(toJobResponse(job));
+      if (payload !== lastSent) {
+        lastSent = payload;
+        const event = TERMINAL_STATUSES.includes(job.status) ? "end" : "progress";
+        res.write(`event: ${event}\ndata: ${payload}\n\n`);
+        if (event === "end") break;
+      }
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+    res.end();
+  } catch (error) {
+    console.error("Error in streamSummaryJob:", error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        message: "Internal Server Error",
+        success: false,
+      });
+    }
+    res.write(`event: error\ndata: ${JSON.stringify({ message: "Internal Server Error" })}\n\n`);
+    res.end();
+  }
+};
+
+export const cancelSummaryJob = async (req, res) => {
+  try {
+    const job = await Job.findOne({ jobId: req.params.jobId, user: req.user._id }).select("-input");
+    if (!job) {
+      return res.status(404).json({
+        message: "Job not found",
+        success: false,
+      });
     }
+    if (TERMINAL_STATUSES.includes(job.status)) {
+      return res.status(409).json({
+        message: `Job already ${job.status}`,
+        success: false,
+      });
+    }
+
+    const updated = (await cancelJob(job.jobId)) || job;
 
+    return res.status(202).json({
+      message: updated.status === "cancelled" ? "Job cancelled" : "Cancellation requested",
+      success: true,
+      data: toJobResponse(updated),
+    });
+  } catch (error) {
+    console.error("Error in cancelSummaryJob:", error);
     return res.status(500).json({
-      message: errorMessage,
+      message: "Internal Server Error",
       success: false,
     });
   }
@@ -0,0 +1,28 @@
+import multer from "multer";
+import { MAX_UPLOAD_BYTES } from "../utils/documentText.js";
+
+// Single document upload kept in memory (field name "file"); text extraction
+// happens in the controller. JSON requests pass straight through.
+const documentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+}).single("file");
+
+export const uploadDocument = (req, res, next) => {
+    documentUpload(req, res, (err) => {
+        if (!err) return next();
+
+        if (err.code === "LIMIT_FILE_SIZE") {
+            return res.status(413).json({
+                success: false,
+                message: "File too large. Maximum size allowed is 10MB.",
+            });
+        }
+        return res.status(400).json({
+            success: false,
+            message: err.code === "LIMIT_UNEXPECTED_FILE"
+                ? "Upload a single file in the \"file\" field"
+                : `Upload failed: ${err.message}`,
+        });
+    });
+};
@@ -0,0 +1,25 @@
+// Admins are listed by email in ADMIN_EMAILS (comma separated). Runs after
+// verifyUser, which puts the token's user on req.user.
+const adminEmails = () =>
+  (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean);
+
+export const isAdmin = (user) => {
+  const email = user?.email?.toLowerCase();
+  return Boolean(email) && adminEmails().includes(email);
+};
+
+const verifyAdmin = (req, res, next) => {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({
+      message: "Forbidden, admin access required",
+      success: false,
+    });
+  }
+
+  next();
+};
+
+export default verifyAdmin;
@@ -36,16 +36,87 @@ const caseSchema = new mongoose.Schema({
     type: [String], // Array of strings for storing conclusions
     default: [],
   },
+  // Parsed from the title ("... on 24 April, 1973") during ingestion
+  Judgment_Date: {
+    type: Date,
+  },
+  // Number of ingested judgments citing this one (utils/citationGraph.js)
+  Cited_By_Count: {
+    type: Number,
+    default: 0,
+  },
+  // Not every source publishes PDFs (utils/sources/)
   PDF_Path: {
     type: String,
-    required: true,
   },
   judgement_path: {
     type: String,
     required: true,
   },
+  // Site the judgment was scraped from; unset for local imports
+  source: {
+    type: String,
+  },
+  source_url: {
+    type: String,
+  },
+  // Last fetch from the source, for conditional re-fetches (utils/ingestion.js)
+  last_fetch: {
+    etag: String,
+    last_modified: String,
+    // sha256 of the parsed judgment; a changed hash means the case changed
+    content_hash: String,
+    fetched_at: Date,
+  },
+  // Ingestion pipeline state (utils/ingestion.js)
+  ingestion: {
+    status: {
+      type: String,
+      enum: ["pending", "stored", "indexed", "failed"],
+      default: "pending",
+    },
+    // Stage that failed: fetch, parse, store, embed
+    stage: String,
+    error: String,
+    chunks: {
+      type: Number,
+      default: 0,
+    },
+    embedded_at: Date,
+    updated_at: Date,
+  },
 });
 
+// Lexical side of hybrid chat retrieval (utils/retrieval.js)
+caseSchema.index(
+  {
+    Case_Title: "text",
+    Citations: "text",
+    Bench: "text",
+    Judgment_Author: "text",
+    Issues: "text",
+    Facts: "text",
+    Conclusions: "text",
+  },
+  {
+    name: "case_text_search",
+    weights: {
+      Case_Title: 10,
+      Citations: 10,
+      Bench: 3,
+      Judgment_Author: 3,
+      Issues: 2,
+      Facts: 1,
+      Conclusions: 1,
+    },
+  }
+);
+
+// Browse API sorts (controllers/cases.js)
+caseSchema.index({ Judgment_Date: -1, _id: -1 });
+caseSchema.index({ Case_Title: 1, _id: 1 });
+caseSchema.index({ Cited_By_Count: -1, _id: -1 });
+
 const Case = mongoose.model("Case", caseSchema);
 
 export default Case;
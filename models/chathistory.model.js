@@ -9,6 +9,34 @@ const SourceSchema = new mongoose.Schema({
     court: String,
     judge: String,
     year: Number,
+    // Inline marker number used in the answer ([1] -> marker 1)
+    marker: Number,
+    // Vector similarity (null for text-index-only hits) and reranker score in [0, 1] (utils/rerank.js)
+    score: Number,
+    rerank_score: Number,
+}, { _id: false });
+
+// Sentence-level link from an answer to a source, produced by utils/citations.js
+// status: "verified" (marker matches a source), "removed" (marker with no
+// source, stripped from the text), "unsupported" (case named but not retrieved)
+const CitationSchema = new mongoose.Schema({
+    marker: Number,
+    source_index: Number,
+    case_title: String,
+    sentence: String,
+    status: {
+        type: String,
+        enum: ["verified", "removed", "unsupported"],
+    },
+}, { _id: false });
+
+// Retrieval scope kept across turns (see utils/searchFilters.js)
+const SearchFiltersSchema = new mongoose.Schema({
+    courts: [String],
+    yearFrom: Number,
+    yearTo: Number,
+    bench: String,
+    judge: String,
 }, { _id: false });
 
 const AiChatHistory = {
@@ -16,6 +44,24 @@ const AiChatHistory = {
         type: String,
     },
     sources : [SourceSchema],
+    citations : [CitationSchema],
+    // Statutes named in the answer with their old/new code counterparts (utils/statuteMapping.js)
+    statuteMap : {
+        type: mongoose.Schema.Types.Mixed,
+    },
+    // Standalone query actually sent to retrieval (kept for debugging)
+    searchQuery : {
+        type: String,
+    },
+    // Generation stopped before the end; `text` is what was streamed
+    interrupted : {
+        type: Boolean,
+        default: false,
+    },
+    // "stopped" (POST /:chatId/stop), "client_disconnected" or "error"
+    interruptReason : {
+        type: String,
+    },
 }
 
 const chatHistorySchema = new mongoose.Schema({
@@ -33,12 +79,38 @@ const chatHistorySchema = new mongoose.Schema({
         type: Boolean,
         default: false,
     },
+    // Generated after the first exchange (utils/chatTitles.js) unless the user renamed the chat
+    title : {
+        type: String,
+        default: null,
+    },
+    titleEdited : {
+        type: Boolean,
+        default: false,
+    },
+    lastMessageAt : {
+        type: Date,
+    },
+    filters : {
+        type: SearchFiltersSchema,
+        default: null,
+    },
+    // Last message of the branch being shown (see utils/chatTree.js)
+    activeLeaf : {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+    },
+    // Every message of every branch; `parent` is the message it follows
     chatHistory : [
         {
             user : {
                 type: String,
             },
             ai : AiChatHistory,
+            parent : {
+                type: mongoose.Schema.Types.ObjectId,
+                default: null,
+            },
             timestamp : {
                 type: Date,
                 default: Date.now,
@@ -47,6 +119,26 @@ const chatHistorySchema = new mongoose.Schema({
     ],
 });
 
+// GET /api/chat/search (controllers/chats.js)
+chatHistorySchema.index(
+    {
+        title: "text",
+        "chatHistory.user": "text",
+        "chatHistory.ai.text": "text",
+        "chatHistory.ai.sources.case_title": "text",
+    },
+    {
+        name: "chat_text_search",
+        weights: {
+            title: 5,
+            "chatHistory.user": 3,
+            "chatHistory.ai.sources.case_title": 3,
+            "chatHistory.ai.text": 1,
+        },
+    }
+);
+chatHistorySchema.index({ user: 1, ispinned: -1, lastMessageAt: -1 });
+
 const Chats = mongoose.model("Chats", chatHistorySchema);
 
 export default Chats;
\ No newline at end of file
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+// Edge of the citation graph: judgment `from_case_id` cites another judgment.
+// `to_case_id` is set when the cited case is known by id (an Indian Kanoon
+// link or a reporter citation matched to a Case); `resolved` says whether that
+// Case has been ingested yet.
+const citationSchema = new mongoose.Schema({
+  from_case_id: {
+    type: String,
+    required: true,
+  },
+  to_case_id: {
+    type: String,
+    default: null,
+  },
+  resolved: {
+    type: Boolean,
+    default: false,
+  },
+  // Reporter citation or case name as written in the judgment
+  citation: {
+    type: String,
+  },
+  case_name: {
+    type: String,
+  },
+  treatment: {
+    type: String,
+    enum: ["followed", "distinguished", "overruled", "referred"],
+    default: "referred",
+  },
+  // Sentence the treatment was read from
+  context: {
+    type: String,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+citationSchema.index({ from_case_id: 1 });
+citationSchema.index({ to_case_id: 1, treatment: 1 });
+
+const Citation = mongoose.model("Citation", citationSchema);
+
+export default Citation;
@@ -40,8 +40,27 @@ const documentSchema = new mongoose.Schema({
       type: String,
     },
   ],
-  statutes:{
-    type: JSON,
+  // Canonical statutes from utils/statutes.js: [{ id: "IPC:302", act, section, subsections, title, description, raw }]
+  statutes: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  // LSI items that could not be mapped to the registry: [{ raw, description, reason }]
+  unrecognized_statutes: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  // Uploaded original in R2, when the user asked to keep it: the summarize
+  // response's original_file, passed back when the document is saved
+  original_file: {
+    key: String,
+    url: String,
+    filename: String,
+    content_type: String,
+    size: Number,
+    page_count: Number,
+  },
+  // Structured case brief from utils/caseBrief.js, each field { status, confidence, value }
+  brief: {
+    type: mongoose.Schema.Types.Mixed,
   },
   created_at: {
     type: Date,
@@ -49,6 +68,8 @@ const documentSchema = new mongoose.Schema({
   },
 });
 
+documentSchema.index({ "statutes.id": 1 });
+
 const Document = mongoose.model("Document", documentSchema);
 
 export default Document;
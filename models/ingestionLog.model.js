@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// One failed ingestion attempt (utils/ingestion.js). Successful runs are
+// recorded on the Case itself; this keeps the failures that would otherwise
+// only be overwritten there, for /upload/failures.
+const ingestionLogSchema = new mongoose.Schema({
+  source: {
+    type: String,
+  },
+  docid: {
+    type: String,
+    required: true,
+  },
+  case_id: {
+    type: String,
+    required: true,
+  },
+  // Stage that failed: fetch, parse, store, embed
+  stage: {
+    type: String,
+  },
+  error: {
+    type: String,
+  },
+  // HTTP status from the court site, when the fetch failed
+  upstream_status: {
+    type: Number,
+    default: null,
+  },
+  attempts: {
+    type: Number,
+    default: 1,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ingestionLogSchema.index({ created_at: -1 });
+ingestionLogSchema.index({ case_id: 1, created_at: -1 });
+
+const IngestionLog = mongoose.model("IngestionLog", ingestionLogSchema);
+
+export default IngestionLog;
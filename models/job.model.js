@@ -0,0 +1,77 @@
+import mongoose from "mongoose";
+
+// Background jobs run by utils/jobQueue.js (currently only "summarize")
+const jobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  type: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["queued", "running", "completed", "failed", "cancelled"],
+    default: "queued",
+  },
+  input: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  error: {
+    type: String,
+  },
+  progress: {
+    stage: String,
+    message: String,
+    percent: {
+      type: Number,
+      default: 0,
+    },
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false,
+  },
+  // Not picked up before this time (retry backoff)
+  runAfter: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedBy: {
+    type: String,
+  },
+  lockedAt: {
+    type: Date,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+  finished_at: {
+    type: Date,
+  },
+});
+
+jobSchema.index({ status: 1, runAfter: 1 });
+
+const Job = mongoose.model("Job", jobSchema);
+
+export default Job;
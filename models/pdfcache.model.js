@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+// Parsed judgment PDF text, keyed by the URL it was downloaded from
+const pdfCacheSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  case_id: {
+    type: String,
+    index: true,
+  },
+  text: {
+    type: String,
+    required: true,
+  },
+  chars: {
+    type: Number,
+  },
+  fetched_at: {
+    type: Date,
+    default: Date.now,
+  },
+  // Mongo removes the entry once this date has passed
+  expires_at: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 },
+  },
+});
+
+const PdfCache = mongoose.model("PdfCache", pdfCacheSchema);
+
+export default PdfCache;
@@ -0,0 +1,11 @@
+import express from "express";
+import { invalidateCache, warmCache } from "../controllers/cache.js";
+import verifyUser from "../middlewares/verifyUser.js";
+import verifyAdmin from "../middlewares/verifyAdmin.js";
+
+const cacheRouter = express.Router();
+
+cacheRouter.post("/pdf/warm", verifyUser, verifyAdmin, warmCache);
+cacheRouter.delete("/pdf", verifyUser, invalidateCache);
+
+export default cacheRouter;
@@ -1,7 +1,10 @@
-import { getCaseByID } from "../controllers/cases.js";
+import { getCaseByID, listCases, getCitedCases, getCitingCases } from "../controllers/cases.js";
 import express from "express";
 const caseRouter = express.Router();
 
+caseRouter.get("/", listCases);
 caseRouter.get("/:id", getCaseByID);
+caseRouter.get("/:id/cites", getCitedCases);
+caseRouter.get("/:id/cited-by", getCitingCases);
 
 export default caseRouter;
\ No newline at end of file
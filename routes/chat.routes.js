@@ -1,11 +1,17 @@
 import express from "express";
-import { deleteChat, getChat, getChats, updateChat } from "../controllers/chats.js";
+import { deleteChat, editMessage, getChat, getChats, regenerateAnswer, renameChat, searchChats, stopGeneration, switchBranch, updateChat } from "../controllers/chats.js";
 import verifyUser from "../middlewares/verifyUser.js";
 
 
 const chatRouter = express.Router();
 
 chatRouter.post("/update-chat/:chatId",verifyUser, updateChat);
+chatRouter.post("/:chatId/regenerate",verifyUser, regenerateAnswer);
+chatRouter.post("/:chatId/messages/:index/edit",verifyUser, editMessage);
+chatRouter.post("/:chatId/branch",verifyUser, switchBranch);
+chatRouter.post("/:chatId/stop",verifyUser, stopGeneration);
+chatRouter.post("/:chatId/rename",verifyUser, renameChat);
+chatRouter.get("/search",verifyUser, searchChats);
 chatRouter.get("/:chatId",verifyUser, getChat);
 chatRouter.get("/delete-chat/:chatId",verifyUser, deleteChat);
 chatRouter.get("/",verifyUser, getChats);
@@ -0,0 +1,9 @@
+import express from "express";
+import { mapStatute } from "../controllers/statutes.js";
+import verifyUser from "../middlewares/verifyUser.js";
+
+const statuteRouter = express.Router();
+
+statuteRouter.get("/map", verifyUser, mapStatute);
+
+export default statuteRouter;
@@ -1,9 +1,17 @@
 import express from "express";
-import { summarizeDocument } from "../controllers/summarize.js";
+import { summarizeDocument, createSummaryJob, getSummaryJob, streamSummaryJob, cancelSummaryJob } from "../controllers/summarize.js";
 import verifyUser from "../middlewares/verifyUser.js";
+import { uploadDocument } from "../middlewares/upload.js";
 
 const summarizeRouter = express.Router();
 
-summarizeRouter.post("/", verifyUser, summarizeDocument);
+// JSON { input_text } or multipart with a PDF/DOCX/TXT "file"
+summarizeRouter.post("/", verifyUser, uploadDocument, summarizeDocument);
+
+// Same input as above, processed in the background
+summarizeRouter.post("/jobs", verifyUser, uploadDocument, createSummaryJob);
+summarizeRouter.get("/jobs/:jobId", verifyUser, getSummaryJob);
+summarizeRouter.get("/jobs/:jobId/events", verifyUser, streamSummaryJob);
+summarizeRouter.post("/jobs/:jobId/cancel", verifyUser, cancelSummaryJob);
 
 export default summarizeRouter;
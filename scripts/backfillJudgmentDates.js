@@ -0,0 +1,69 @@
+// One-off backfill of Case.Judgment_Date for cases ingested before the date
+// was stored. Browsing (GET /api/cases) sorts and filters on it, and cases
+// without one sort last and drop out of date filters and year facets.
+//
+//   node scripts/backfillJudgmentDates.js [--dry-run]
+//
+// The date is parsed from the title ("... vs State Of Kerala on 24 April,
+// 1973"), as ingestion does. Cases whose title has no date are left alone and
+// listed at the end. Safe to run again: only cases without a date are read.
+
+import { parseArgs } from "util";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Case from "../models/case.model.js";
+import { parseJudgmentDate } from "../utils/sources/indianKanoon.js";
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            "dry-run": { type: "boolean", default: false },
+        },
+    });
+    const dryRun = values["dry-run"];
+
+    await mongoose.connect(process.env.MONGO_URL);
+
+    const cursor = Case.find({ Judgment_Date: null }, { Case_id: 1, Case_Title: 1 }).lean().cursor();
+    const counts = { updated: 0, undated: 0 };
+    const undated = [];
+    let batch = [];
+
+    const flush = async () => {
+        if (batch.length === 0) return;
+        if (!dryRun) await Case.bulkWrite(batch, { ordered: false });
+        counts.updated += batch.length;
+        batch = [];
+    };
+
+    for await (const caseData of cursor) {
+        const date = parseJudgmentDate(caseData.Case_Title);
+        if (!date) {
+            counts.undated += 1;
+            undated.push(caseData.Case_id);
+            continue;
+        }
+        batch.push({
+            updateOne: {
+                filter: { _id: caseData._id, Judgment_Date: null },
+                update: { $set: { Judgment_Date: date } },
+            },
+        });
+        if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    console.log(`${dryRun ? "Would set" : "Set"} Judgment_Date on ${counts.updated} case(s); ${counts.undated} have no date in the title`);
+    if (undated.length > 0) console.log(`Without a date: ${undated.slice(0, 50).join(", ")}${undated.length > 50 ? ", ..." : ""}`);
+    await mongoose.disconnect();
+}
+
+main().catch(async (error) => {
+    console.error("Backfill aborted:", error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+});
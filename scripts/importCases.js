@@ -0,0 +1,218 @@
+// Bulk import of judgments from local archives.
+//
+//   node scripts/importCases.js --dir ./archive
+//   node scripts/importCases.js --manifest ./cases.jsonl
+//
+// --dir walks a directory for *.pdf files; metadata comes from a sidecar JSON
+// next to each PDF (judgment.pdf + judgment.json), using the Case field names
+// (Case_id, Case_Title, Court_Name, Judgment_Author, Bench, Citations,
+// Judgment_Date, Issues, Facts, Conclusions).
+// --manifest reads one JSON object per line with the same fields plus "pdf",
+// a path relative to the manifest.
+//
+// Every judgment goes through the ingestion pipeline (R2, Case, citation
+// graph, embeddings). Progress is written to a checkpoint file after each
+// item, so an interrupted run picks up where it stopped; failed items are
+// retried on the next run. Options:
+//   --checkpoint <file>  default: <dir or manifest>.import-checkpoint.json
+//   --reembed            re-embed cases that are already indexed
+//   --limit <n>          stop after n items (for trial runs)
+
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { extractPdfText } from "../utils/documentText.js";
+import { ingestLocalCase } from "../utils/ingestion.js";
+import { parseJudgmentDate } from "../utils/sources/indianKanoon.js";
+
+dotenv.config();
+
+const CASE_FIELDS = ["Case_Title", "Court_Name", "Judgment_Author", "Bench", "Citations", "Issues", "Facts", "Conclusions"];
+
+function listPdfs(dir) {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) files.push(...listPdfs(fullPath));
+        else if (entry.isFile() && entry.name.toLowerCase().endsWith(".pdf")) files.push(fullPath);
+    }
+    return files.sort();
+}
+
+// Items are { key, pdfPath, metadata }; key identifies the item in the checkpoint
+function itemsFromDirectory(dir) {
+    return listPdfs(dir).map(pdfPath => {
+        const key = path.relative(dir, pdfPath);
+        const sidecar = pdfPath.replace(/\.pdf$/i, ".json");
+        if (!fs.existsSync(sidecar)) return { key, pdfPath, metadata: {} };
+        try {
+            return { key, pdfPath, metadata: JSON.parse(fs.readFileSync(sidecar, "utf8")) };
+        } catch (error) {
+            return { key, error: `Invalid sidecar ${path.basename(sidecar)}: ${error.message}` };
+        }
+    });
+}
+
+function itemsFromManifest(manifestPath) {
+    const baseDir = path.dirname(manifestPath);
+    return fs.readFileSync(manifestPath, "utf8")
+        .split("\n")
+        .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+        .filter(({ line }) => line)
+        .map(({ line, number }) => {
+            let metadata;
+            try {
+                metadata = JSON.parse(line);
+            } catch {
+                return { key: `line ${number}`, error: "Invalid JSON" };
+            }
+            if (!metadata.pdf) return { key: `line ${number}`, error: "Missing \"pdf\" path" };
+            return {
+                key: metadata.Case_id ? String(metadata.Case_id) : metadata.pdf,
+                pdfPath: path.resolve(baseDir, metadata.pdf),
+                metadata,
+            };
+        });
+}
+
+// Archives without ids get one from the path under the archive, so
+// 2019/judgment.pdf and 2020/judgment.pdf stay apart: "local-2019-judgment"
+function caseIdFor(item) {
+    const id = item.metadata.Case_id ?? item.metadata.case_id;
+    if (id) return String(id);
+    const relative = item.key.replace(/\.pdf$/i, "");
+    return `local-${relative.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "")}`;
+}
+
+// Two items with one Case_id would overwrite each other's case, R2 objects
+// and vectors; every item after the first is failed instead
+function rejectDuplicateIds(items) {
+    const seen = new Map();
+    return items.map((item, index) => {
+        if (item.error) return item;
+        const caseId = caseIdFor(item);
+        if (seen.has(caseId)) {
+            // Manifest keys are the Case_id; keep the first item's checkpoint entry
+            const key = item.key === seen.get(caseId) ? `${item.key} (item ${index + 1})` : item.key;
+            return { key, error: `Case_id ${caseId} is also used by ${seen.get(caseId)}` };
+        }
+        seen.set(caseId, item.key);
+        return item;
+    });
+}
+
+function toCaseDetails(metadata, text) {
+    const details = {};
+    for (const field of CASE_FIELDS) {
+        if (metadata[field] !== undefined) details[field] = metadata[field];
+    }
+    // The first non-empty line of a judgment is usually the cause title
+    details.Case_Title = details.Case_Title || text.split("\n").find(line => line.trim())?.trim().slice(0, 300) || "Not Found";
+    details.Court_Name = details.Court_Name || "Not Found";
+
+    const date = metadata.Judgment_Date ? new Date(metadata.Judgment_Date) : parseJudgmentDate(details.Case_Title);
+    if (date && !Number.isNaN(date.getTime())) details.Judgment_Date = date;
+    return details;
+}
+
+// --- CHECKPOINT ---
+
+function loadCheckpoint(file) {
+    if (!fs.existsSync(file)) return { items: {} };
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function saveCheckpoint(file, checkpoint) {
+    // Write then rename, so a crash mid-write cannot corrupt the checkpoint
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(checkpoint, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+async function importItem(item, { reembed }) {
+    if (item.error) throw Object.assign(new Error(item.error), { stage: "read" });
+
+    const caseId = caseIdFor(item);
+    let pdf;
+    let text;
+    try {
+        pdf = fs.readFileSync(item.pdfPath);
+        ({ text } = await extractPdfText(pdf));
+    } catch (error) {
+        throw Object.assign(error, { stage: "read" });
+    }
+    if (!text.trim()) {
+        throw Object.assign(new Error("No text found in PDF (scanned documents are not supported)"), { stage: "read" });
+    }
+
+    const { case: caseDoc, skipped } = await ingestLocalCase(
+        caseId,
+        { details: toCaseDetails(item.metadata, text), text, pdf },
+        { reembed }
+    );
+    return { caseId, skipped, chunks: caseDoc.ingestion?.chunks || 0 };
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            dir: { type: "string" },
+            manifest: { type: "string" },
+            checkpoint: { type: "string" },
+            reembed: { type: "boolean", default: false },
+            limit: { type: "string" },
+        },
+    });
+
+    const source = values.dir || values.manifest;
+    if (!source || (values.dir && values.manifest)) {
+        console.error("Usage: node scripts/importCases.js (--dir <directory> | --manifest <file.jsonl>) [--checkpoint <file>] [--reembed] [--limit <n>]");
+        process.exit(2);
+    }
+
+    if (values.limit !== undefined && !/^[1-9]\d*$/.test(values.limit)) {
+        console.error(`--limit must be a positive whole number, got "${values.limit}"`);
+        process.exit(2);
+    }
+    const limit = values.limit ? Number(values.limit) : Infinity;
+
+    const items = rejectDuplicateIds(values.dir ? itemsFromDirectory(values.dir) : itemsFromManifest(values.manifest));
+    const checkpointFile = values.checkpoint || `${source.replace(/[\\/]+$/, "")}.import-checkpoint.json`;
+    const checkpoint = loadCheckpoint(checkpointFile);
+
+    const pending = items.filter(item => checkpoint.items[item.key]?.status !== "imported");
+    console.log(`${items.length} items, ${items.length - pending.length} already imported, checkpoint: ${checkpointFile}`);
+
+    await mongoose.connect(process.env.MONGO_URL);
+
+    const counts = { imported: 0, skipped: 0, failed: 0 };
+    for (const item of pending.slice(0, limit)) {
+        try {
+            const { caseId, skipped, chunks } = await importItem(item, { reembed: values.reembed });
+            counts[skipped ? "skipped" : "imported"] += 1;
+            checkpoint.items[item.key] = { status: "imported", case_id: caseId, chunks, at: new Date().toISOString() };
+            console.log(`OK    ${item.key} -> ${caseId}${skipped ? " (already indexed)" : ` (${chunks} chunks)`}`);
+        } catch (error) {
+            counts.failed += 1;
+            checkpoint.items[item.key] = {
+                status: "failed",
+                stage: error.stage || null,
+                error: error.message,
+                at: new Date().toISOString(),
+            };
+            console.error(`FAIL  ${item.key}: ${error.message}`);
+        }
+        saveCheckpoint(checkpointFile, checkpoint);
+    }
+
+    console.log(`Done: ${counts.imported} imported, ${counts.skipped} already indexed, ${counts.failed} failed`);
+    await mongoose.disconnect();
+    process.exit(counts.failed > 0 ? 1 : 0);
+}
+
+main().catch(async (error) => {
+    console.error("Import aborted:", error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+});
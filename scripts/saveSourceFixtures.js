@@ -0,0 +1,65 @@
+// Saves the court pages test/sources.test.js parses, so the tests run against
+// the sites' real layouts.
+//
+//   node scripts/saveSourceFixtures.js [--only <file>]
+//
+// Each page is fetched through the source (polite fetching, utils/sources/
+// http.js) and trimmed: scripts, styles and comments are dropped and the
+// judgment is cut to its first paragraphs plus every paragraph that links to
+// another judgment. The page chrome (header, navigation, ads, footer) is
+// kept, since that is where layout changes break the parsers. Check the
+// assertions in test/sources.test.js after re-saving.
+
+import fs from "fs";
+import { parseArgs } from "util";
+import * as cheerio from "cheerio";
+import { getSource } from "../utils/sources/index.js";
+
+const FIXTURE_DIR = new URL("../test/fixtures/sources/", import.meta.url);
+const KEEP_PARAGRAPHS = 12;
+
+// container: selector of the element holding the judgment paragraphs
+const FIXTURES = [
+    { file: "indiankanoon-kesavananda.html", source: "indiankanoon", docid: "257876", container: "div.judgments" },
+    { file: "lii-sc-judis.html", source: "liiofindia", docid: "cen/INSC/1973/90", container: "body" },
+    { file: "lii-hc-delhi.html", source: "liiofindia", docid: "dl/INDLHC/2015/1012", container: "body" },
+];
+
+// Links from a judgment paragraph to another judgment on either site
+const JUDGMENT_LINK = /\/doc\/\d+\/?|\/in\/cases\/[A-Za-z]+\/[A-Za-z]+\/\d{4}\/\d+\.html/;
+
+function trimPage(html, container) {
+    const $ = cheerio.load(html);
+    $("script, style, noscript, iframe").remove();
+    $("*").contents().filter((_, node) => node.type === "comment").remove();
+    $("img[src^='data:']").remove();
+
+    const root = $(container).first();
+    let kept = 0;
+    root.find("p, pre, blockquote").each((_, element) => {
+        const hasLink = $(element).find("a[href]").toArray().some(a => JUDGMENT_LINK.test($(a).attr("href")));
+        if (hasLink || kept < KEEP_PARAGRAPHS) {
+            kept += 1;
+            return;
+        }
+        $(element).remove();
+    });
+    return `${$.html().replace(/\n\s*\n\s*\n/g, "\n\n").trim()}\n`;
+}
+
+async function main() {
+    const { values } = parseArgs({ options: { only: { type: "string" } } });
+    const fixtures = FIXTURES.filter(fixture => !values.only || fixture.file === values.only);
+
+    for (const { file, source, docid, container } of fixtures) {
+        const { data } = await getSource(source).fetchPage(docid);
+        const trimmed = trimPage(String(data), container);
+        fs.writeFileSync(new URL(file, FIXTURE_DIR), trimmed);
+        console.log(`Saved ${file} (${Math.round(trimmed.length / 1024)} KB) from ${getSource(source).url(docid)}`);
+    }
+}
+
+main().catch((error) => {
+    console.error("Saving fixtures failed:", error.message);
+    process.exit(1);
+});
@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { getSource } from "../utils/sources/index.js";
+
+// Pages from each court source, parsed offline (see fixtures/sources/README.md)
+const fixture = name => fs.readFileSync(new URL(`./fixtures/sources/${name}`, import.meta.url), "utf8");
+
+test("Indian Kanoon judgment page", () => {
+    const { details, text, links } = getSource("indiankanoon").parse(fixture("indiankanoon-kesavananda.html"));
+
+    assert.equal(details.Case_Title, "Kesavananda Bharati ... vs State Of Kerala And Anr on 24 April, 1973");
+    assert.equal(details.Court_Name, "Supreme Court of India");
+    assert.deepEqual(details.Judgment_Date, new Date(Date.UTC(1973, 3, 24)));
+    assert.equal(details.Judgment_Author, "S.M. Sikri");
+    assert.equal(details.Bench, "S.M. Sikri, A.N. Grover, A.N. Ray, D.G. Palekar, H.R. Khanna, J.M. Shelat");
+    assert.equal(details.Citations, "AIR 1973 SUPREME COURT 1461, 1973 4 SCC 225");
+    assert.deepEqual(details.Issues, ["Whether the power of Parliament to amend the Constitution under Article 368 extends to altering its basic structure or framework."]);
+    assert.equal(details.Facts.length, 1);
+    assert.equal(details.Conclusions.length, 1);
+    assert.ok(text.includes("KESAVANANDA BHARATI SRIPADAGALVARU"));
+    assert.ok(!text.includes("Advertisement"));
+    assert.ok(!text.includes("Premium Members"));
+    // Search and external links are not judgments
+    assert.deepEqual(links.map(link => [link.docid, link.text]), [["120358", "I. C. Golak Nath and Others vs State Of Punjab And Anrs."]]);
+});
+
+test("LII Supreme Court page with the JUDIS header", () => {
+    const { details, text, links } = getSource("liiofindia").parse(fixture("lii-sc-judis.html"));
+
+    assert.equal(details.Case_Title, "Kesavananda Bharati Sripadagalvaru and Ors. v. State of Kerala and Anr. [1973] INSC 90 (24 April 1973)");
+    assert.equal(details.Court_Name, "Supreme Court of India");
+    assert.deepEqual(details.Judgment_Date, new Date(Date.UTC(1973, 3, 24)));
+    assert.equal(details.Judgment_Author, "SIKRI");
+    assert.equal(details.Bench, "SIKRI, S.M. (CJ) SHELAT, J.M. HEGDE, K.S. GROVER, A.N.");
+    assert.equal(details.Citations, "1973 AIR 1461 1973 SCR Supl.( 1); [1973] INSC 90");
+    assert.ok(text.startsWith("PETITIONER:"));
+    assert.ok(!text.includes("Copyright Policy"));
+    assert.deepEqual(links.map(link => [link.docid, link.text]), [["lii-cen-INSC-1967-45", "I. C. Golak Nath & Ors v. State of Punjab & Anrs."]]);
+});
+
+test("LII High Court page", () => {
+    const { details, text, links } = getSource("liiofindia").parse(fixture("lii-hc-delhi.html"));
+
+    assert.equal(details.Case_Title, "Rajesh Kumar v. State (NCT of Delhi) [2015] INDLHC 1012 (3 March 2015)");
+    assert.equal(details.Court_Name, "High Court of Delhi");
+    assert.deepEqual(details.Judgment_Date, new Date(Date.UTC(2015, 2, 3)));
+    assert.equal(details.Judgment_Author, "SURESH KAIT");
+    assert.equal(details.Bench, "Not Found");
+    assert.equal(details.Citations, "[2015] INDLHC 1012");
+    assert.ok(!text.includes("INDLHC index"));
+    assert.deepEqual(links.map(link => link.docid), ["lii-cen-INSC-2012-101"]);
+});
+
+test("pages without a judgment are rejected", () => {
+    assert.throws(() => getSource("indiankanoon").parse("<html><body><p>Not found</p></body></html>"), /Judgment text not found/);
+    assert.throws(() => getSource("liiofindia").parse("<html><body></body></html>"), /Judgment text not found/);
+});
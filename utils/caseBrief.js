@@ -0,0 +1,139 @@
+import Ajv from "ajv";
+import { invokeLLMWithFallback } from "./llmProviders.js";
+
+// --- STRUCTURED CASE BRIEF ---
+// Every field is { status, confidence, value }: status "not_found" (value null)
+// when the judgment does not contain it, confidence is the model's own 0-1
+// estimate. The LLM output is validated against CASE_BRIEF_SCHEMA; an invalid
+// answer gets one retry with the validation errors, then missing or malformed
+// fields are marked not_found rather than failing the whole summary.
+
+const stringList = { type: "array", items: { type: "string" } };
+
+const BRIEF_FIELDS = {
+    parties: {
+        description: "Parties on each side",
+        value: {
+            type: "object",
+            properties: { petitioners: stringList, respondents: stringList },
+            required: ["petitioners", "respondents"],
+        },
+        example: { petitioners: ["Kesavananda Bharati"], respondents: ["State of Kerala"] },
+    },
+    court_and_bench: {
+        description: "Court and the judges on the bench",
+        value: {
+            type: "object",
+            properties: { court: { type: "string" }, bench: stringList },
+            required: ["court", "bench"],
+        },
+        example: { court: "Supreme Court of India", bench: ["S.M. Sikri, CJ", "J.M. Shelat, J"] },
+    },
+    facts: { description: "Material facts", value: { type: "string" }, example: "..." },
+    issues: { description: "Questions the court had to decide", value: stringList, example: ["..."] },
+    arguments: {
+        description: "Main arguments for each side",
+        value: {
+            type: "object",
+            properties: { petitioner: stringList, respondent: stringList },
+            required: ["petitioner", "respondent"],
+        },
+        example: { petitioner: ["..."], respondent: ["..."] },
+    },
+    ratio_decidendi: { description: "The legal principle the decision rests on", value: { type: "string" }, example: "..." },
+    obiter: { description: "Observations not necessary for the decision", value: stringList, example: ["..."] },
+    holding: { description: "Holding and disposition (allowed, dismissed, remanded...)", value: { type: "string" }, example: "..." },
+    relief: { description: "Relief granted, costs and directions", value: { type: "string" }, example: "..." },
+};
+
+export const CASE_BRIEF_SCHEMA = {
+    type: "object",
+    properties: Object.fromEntries(Object.entries(BRIEF_FIELDS).map(([name, field]) => [name, {
+        type: "object",
+        properties: {
+            status: { enum: ["found", "not_found"] },
+            confidence: { type: "number", minimum: 0, maximum: 1 },
+            value: { anyOf: [field.value, { type: "null" }] },
+        },
+        required: ["status", "confidence", "value"],
+        additionalProperties: false,
+    }])),
+    required: Object.keys(BRIEF_FIELDS),
+    additionalProperties: false,
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateBrief = ajv.compile(CASE_BRIEF_SCHEMA);
+const fieldValidators = Object.fromEntries(
+    Object.entries(BRIEF_FIELDS).map(([name]) => [name, ajv.compile(CASE_BRIEF_SCHEMA.properties[name])])
+);
+
+function notFound() {
+    return { status: "not_found", confidence: 0, value: null };
+}
+
+function parseJsonObject(content) {
+    const jsonStr = content.match(/```(?:json)?\s*([\s\S]*?)```/)?.[1] ?? content;
+    const start = jsonStr.indexOf("{");
+    const end = jsonStr.lastIndexOf("}");
+    if (start === -1 || end === -1) throw new Error("No JSON object in brief response");
+    return JSON.parse(jsonStr.slice(start, end + 1));
+}
+
+function formatErrors(errors) {
+    return (errors || []).map(e => `${e.instancePath || "(root)"} ${e.message}`).join("; ");
+}
+
+function buildPrompt(text, previousErrors) {
+    const fieldList = Object.entries(BRIEF_FIELDS)
+        .map(([name, field]) => `- ${name}: ${field.description}. Value format: ${JSON.stringify(field.example)}`)
+        .join("\n");
+
+    const retryNote = previousErrors
+        ? `\nYour previous answer did not match the required format: ${previousErrors}. Fix these problems.\n`
+        : "";
+
+    return `You are an expert Indian legal analyst preparing a case brief for lawyers.
+Extract the following fields from the judgment below:
+${fieldList}
+
+For every field return {"status": "found" | "not_found", "confidence": number from 0 to 1, "value": ...}.
+Use "not_found" with value null and confidence 0 when the judgment does not state it. Do not guess.
+${retryNote}
+Return valid JSON only, no other text, with exactly these keys: ${Object.keys(BRIEF_FIELDS).join(", ")}.
+
+JUDGMENT:
+${text}`;
+}
+
+// Keep the valid fields, mark the rest not_found
+function salvageBrief(candidate) {
+    const brief = {};
+    for (const name of Object.keys(BRIEF_FIELDS)) {
+        const field = candidate?.[name];
+        brief[name] = fieldValidators[name](field) ? field : notFound();
+        if (brief[name].status === "not_found") brief[name] = notFound();
+    }
+    return brief;
+}
+
+export async function generateCaseBrief(text) {
+    let previousErrors = null;
+    let candidate = null;
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            const response = await invokeLLMWithFallback(buildPrompt(text, previousErrors), "summary");
+            candidate = parseJsonObject(response.content);
+            if (validateBrief(candidate)) {
+                return { brief: candidate, valid: true };
+            }
+            previousErrors = formatErrors(validateBrief.errors);
+        } catch (error) {
+            previousErrors = error.message;
+        }
+        console.error(`Case brief attempt ${attempt + 1} invalid: ${previousErrors}`);
+    }
+
+    return { brief: salvageBrief(candidate), valid: false, errors: previousErrors };
+}
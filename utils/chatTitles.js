@@ -0,0 +1,42 @@
+import { invokeLLMWithFallback } from "./llmProviders.js";
+
+// --- CHAT TITLES ---
+// A chat is titled after its first exchange. The LLM gets the question and
+// the start of the answer; if it fails, the question itself becomes the title.
+
+export const MAX_TITLE_CHARS = 80;
+
+function trimTitle(text) {
+    const clean = String(text || "")
+        .replace(/\s+/g, " ")
+        .replace(/^(?:title\s*:\s*)/i, "")
+        .replace(/^["'*#\s]+|["'*.\s]+$/g, "")
+        .trim();
+    if (clean.length <= MAX_TITLE_CHARS) return clean;
+    // Cut at a word boundary
+    return `${clean.slice(0, MAX_TITLE_CHARS - 1).replace(/\s+\S*$/, "")}…`;
+}
+
+// The question as a title: "What is the punishment under Section 302 IPC?"
+export function fallbackTitle(question) {
+    return trimTitle(question) || "New chat";
+}
+
+export async function generateChatTitle(question, answer, { signal } = {}) {
+    const prompt = `Write a short title (at most 8 words) for a legal research conversation that starts with the exchange below.
+Keep case names, section numbers and acts as written. Return only the title, no quotes or punctuation at the end.
+
+QUESTION: ${String(question).slice(0, 1000)}
+
+ANSWER (beginning): ${String(answer || "").slice(0, 1000)}
+
+TITLE:`;
+
+    try {
+        const response = await invokeLLMWithFallback(prompt, "summary", { signal });
+        return trimTitle(response.content.split("\n")[0]) || fallbackTitle(question);
+    } catch (error) {
+        console.error(`Chat title generation failed, using the question: ${error.message}`);
+        return fallbackTitle(question);
+    }
+}
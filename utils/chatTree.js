@@ -0,0 +1,99 @@
+// --- CHAT HISTORY TREE ---
+// Chats.chatHistory holds every message ever written in a chat, each pointing
+// at the message it follows (`parent`). Editing a question adds a sibling of
+// the old question and regenerating adds a sibling of the old answer, so
+// nothing is lost. `activeLeaf` is the last message of the branch the user is
+// on; the conversation shown and sent to the model is the path from the root
+// to it.
+// Chats from before branching have plain append-only histories with no
+// parents; ensureTree links them into a single branch.
+
+function sameId(a, b) {
+    return Boolean(a && b) && a.toString() === b.toString();
+}
+
+function findNode(chat, id) {
+    return chat.chatHistory.find(node => sameId(node._id, id)) || null;
+}
+
+// Links an old flat history into one branch. Returns true if the chat changed.
+export function ensureTree(chat) {
+    if (chat.activeLeaf || chat.chatHistory.length === 0) return false;
+    chat.chatHistory.forEach((node, index) => {
+        node.parent = index === 0 ? null : chat.chatHistory[index - 1]._id;
+    });
+    chat.activeLeaf = chat.chatHistory[chat.chatHistory.length - 1]._id;
+    return true;
+}
+
+// Root-to-leaf messages of the active branch
+export function activePath(chat) {
+    const path = [];
+    let node = findNode(chat, chat.activeLeaf);
+    while (node) {
+        path.unshift(node);
+        node = node.parent ? findNode(chat, node.parent) : null;
+    }
+    return path;
+}
+
+// Messages sharing a parent, oldest first (the order they were written in)
+function siblingsOf(chat, node) {
+    return chat.chatHistory.filter(other =>
+        other.parent ? sameId(other.parent, node.parent) : !node.parent
+    );
+}
+
+// Adds a message after `parentId` (null for the first one) and moves the
+// active branch to it. Returns the new message.
+export function appendMessage(chat, parentId, fields) {
+    chat.chatHistory.push({ ...fields, parent: parentId || null, timestamp: new Date() });
+    const node = chat.chatHistory[chat.chatHistory.length - 1];
+    chat.activeLeaf = node._id;
+    chat.lastMessageAt = node.timestamp;
+    return node;
+}
+
+// Switches to the branch through `messageId`, continuing down its most
+// recently written messages
+export function selectBranch(chat, messageId) {
+    let node = findNode(chat, messageId);
+    if (!node) return null;
+    for (;;) {
+        const children = chat.chatHistory.filter(child => sameId(child.parent, node._id));
+        if (children.length === 0) break;
+        node = children.reduce((latest, child) => (child.timestamp > latest.timestamp ? child : latest));
+    }
+    chat.activeLeaf = node._id;
+    return node;
+}
+
+// { role, content } turns for the model, for the messages before `path`'s end
+export function toModelHistory(path) {
+    return path.flatMap((msg) => {
+        const history = [];
+        if (msg.user) history.push({ role: "user", content: msg.user });
+        if (msg.ai && msg.ai.text) history.push({ role: "assistant", content: msg.ai.text });
+        return history;
+    });
+}
+
+// The chat as the frontend reads it: `chatHistory` is the active branch, and
+// each message says which of its siblings it is so the UI can offer "< 2/3 >"
+export function serializeChat(chat) {
+    ensureTree(chat);
+    const data = chat.toObject();
+    data.chatHistory = activePath(chat).map(node => {
+        const siblings = siblingsOf(chat, node);
+        return {
+            ...node.toObject(),
+            branch: {
+                index: siblings.findIndex(sibling => sameId(sibling._id, node._id)),
+                count: siblings.length,
+                siblingIds: siblings.map(sibling => sibling._id),
+            },
+        };
+    });
+    data.messageCount = chat.chatHistory.length;
+    return data;
+}
@@ -0,0 +1,94 @@
+// --- SECTION-AWARE CHUNKING ---
+// Judgments are split at their own structure first (headings like "JUDGMENT",
+// "FACTS", "ORDER", numbered paragraphs) and sections are packed into chunks of
+// up to `chunkSize` characters. Only a section that is too big on its own gets
+// cut, at paragraph and then sentence boundaries.
+
+const HEADING_PATTERN = new RegExp(
+    "^\\s*(?:" +
+        // Standalone uppercase headings: "JUDGMENT", "FACTS OF THE CASE", "O R D E R"
+        "[A-Z][A-Z .:&'-]{2,60}|" +
+        // Common judgment parts, any case
+        "(?:judgment|order|facts|issues?|arguments?|submissions?|analysis|discussion|conclusion|held|ratio)\\b[^\\n]{0,60}|" +
+        // Numbered paragraphs and headings: "12.", "(iv)", "IV."
+        "\\(?(?:\\d{1,3}|[ivxlc]{1,6})[.)]\\s" +
+    ")",
+    "i"
+);
+
+function splitSections(text) {
+    const sections = [];
+    let current = { heading: null, lines: [] };
+
+    for (const line of text.split("\n")) {
+        const isHeading = line.trim().length > 0 && line.trim().length <= 80 && HEADING_PATTERN.test(line);
+        if (isHeading && current.lines.some(l => l.trim())) {
+            sections.push(current);
+            current = { heading: line.trim(), lines: [] };
+        } else if (isHeading && !current.heading) {
+            current.heading = line.trim();
+        }
+        current.lines.push(line);
+    }
+    if (current.lines.some(l => l.trim())) sections.push(current);
+
+    return sections.map(section => ({
+        heading: section.heading,
+        text: section.lines.join("\n").trim(),
+    }));
+}
+
+// Cut an oversized section at paragraph, then sentence, then hard boundaries
+function splitLongText(text, chunkSize) {
+    if (text.length <= chunkSize) return [text];
+
+    const units = text.split(/\n\s*\n/).length > 1
+        ? text.split(/\n\s*\n/)
+        : text.split(/(?<=[.!?])\s+/);
+
+    const pieces = [];
+    let current = "";
+    for (const unit of units) {
+        if (unit.length > chunkSize) {
+            if (current) pieces.push(current);
+            current = "";
+            for (let i = 0; i < unit.length; i += chunkSize) {
+                pieces.push(unit.slice(i, i + chunkSize));
+            }
+            continue;
+        }
+        if (current && current.length + unit.length + 2 > chunkSize) {
+            pieces.push(current);
+            current = unit;
+        } else {
+            current = current ? `${current}\n\n${unit}` : unit;
+        }
+    }
+    if (current) pieces.push(current);
+    return pieces;
+}
+
+// Returns [{ index, heading, text }] in document order
+export function chunkLegalDocument(text, { chunkSize = 12000 } = {}) {
+    if (!text) return [];
+
+    const pieces = [];
+    for (const section of splitSections(text)) {
+        for (const piece of splitLongText(section.text, chunkSize)) {
+            pieces.push({ heading: section.heading, text: piece });
+        }
+    }
+
+    // Pack small neighbouring sections together
+    const chunks = [];
+    for (const piece of pieces) {
+        const last = chunks[chunks.length - 1];
+        if (last && last.text.length + piece.text.length + 2 <= chunkSize) {
+            last.text = `${last.text}\n\n${piece.text}`;
+        } else {
+            chunks.push({ heading: piece.heading, text: piece.text });
+        }
+    }
+
+    return chunks.map((chunk, index) => ({ index, heading: chunk.heading, text: chunk.text }));
+}
@@ -0,0 +1,200 @@
+import mongoose from "mongoose";
+import Case from "../models/case.model.js";
+import Citation from "../models/citation.model.js";
+import { extractCitations } from "./legalExtractor.js";
+
+// --- CITATION GRAPH ---
+// Built during ingestion from two sources: links to other judgments in the
+// scraped page (Indian Kanoon doc ids are our Case_ids) and reporter
+// citations in the text, matched against Case.Citations. Re-ingesting a case
+// replaces its outgoing edges. Each edge carries the treatment the citing
+// court gave the case, read from the surrounding sentence.
+
+const MAX_DEPTH = 3;
+const MAX_NODES = 200;
+
+const TREATMENTS = [
+    ["overruled", /\bover-?rul(?:e|ed|ing)\b|\bno longer good law\b/i],
+    ["distinguished", /\bdistinguish(?:ed|able|ing)?\b|\bnot applicable\b|\b(?:does|do|did) not apply\b/i],
+    // Only phrases that say the court adopted the decision: bare "follow" and
+    // "apply" also match "the following passage" and any use of "apply"
+    ["followed", new RegExp([
+        String.raw`\bfollowed (?:in|by|the)\b`,
+        String.raw`\b(?:is|was|were|are|been|be) followed\b`,
+        String.raw`\b(?:we|i|this court) (?:have |has |would |must )?follow(?:ed)?\b`,
+        String.raw`\bfollowing the (?:ratio|decision|view|dictum|judgment|law)\b`,
+        String.raw`\bappl(?:y|ied|ying) the (?:ratio|principles?|dictum|decision|law|test) (?:laid down|of|in)\b`,
+        String.raw`\brel(?:y|ied|ying) (?:up)?on\b`,
+        String.raw`\baffirm(?:ed|ing)?\b`,
+    ].join("|"), "i")],
+];
+
+// Link text that names a case rather than a section or an act
+const CASE_NAME_PATTERN = /\b(?:vs?\.?|versus)\s+\S/i;
+
+export function classifyTreatment(context) {
+    for (const [treatment, pattern] of TREATMENTS) {
+        if (pattern.test(context || "")) return treatment;
+    }
+    return "referred";
+}
+
+function sentenceAround(text, needle) {
+    const index = text.indexOf(needle);
+    if (index === -1) return text.slice(0, 500);
+    const start = Math.max(text.lastIndexOf(". ", index) + 1, index - 400);
+    const stop = text.slice(index + needle.length).search(/\.\s/);
+    const end = index + needle.length + (stop === -1 ? 400 : Math.min(stop + 1, 400));
+    return text.slice(start, end).trim();
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// "(1973) 4 SCC 225" has to match Case.Citations written as "1973 SCC (4) 225"
+// or "AIR 1973 SC 1461" as "1973 AIR 1461"
+function citationRegex({ year, reporter, page }) {
+    const rep = escapeRegex(reporter.split(" ")[0]);
+    return new RegExp(
+        `(?:${year}[^,;]{0,20}\\b${rep}\\b|\\b${rep}\\b[^,;]{0,20}${year})[^,;]{0,20}\\b${page}\\b`,
+        "i"
+    );
+}
+
+async function resolveReporterCitation(citation) {
+    if (citation.neutral) return null;
+    const match = await Case.findOne({ Citations: citationRegex(citation) }).select("Case_id").lean();
+    return match?.Case_id || null;
+}
+
+// links: [{ docid, text, context }] from the source page; text: judgment text
+async function buildEdges(caseId, { links = [], text = "" }) {
+    const edges = new Map();
+
+    for (const link of links) {
+        if (link.docid === caseId || !CASE_NAME_PATTERN.test(link.text)) continue;
+        if (edges.has(link.docid)) continue;
+        const context = sentenceAround(link.context || "", link.text);
+        edges.set(link.docid, {
+            to_case_id: link.docid,
+            case_name: link.text.slice(0, 300),
+            treatment: classifyTreatment(context),
+            context,
+        });
+    }
+
+    for (const citation of extractCitations(text)) {
+        const toCaseId = await resolveReporterCitation(citation);
+        if (toCaseId === caseId) continue;
+        const key = toCaseId || citation.citation;
+        const context = sentenceAround(text, citation.citation);
+        const existing = edges.get(key);
+        if (existing) {
+            existing.citation = existing.citation || citation.citation;
+            continue;
+        }
+        edges.set(key, {
+            to_case_id: toCaseId,
+            citation: citation.citation,
+            treatment: classifyTreatment(context),
+            context,
+        });
+    }
+
+    return [...edges.values()];
+}
+
+async function refreshCitedByCounts(caseIds) {
+    for (const caseId of new Set(caseIds.filter(Boolean))) {
+        const count = await Citation.countDocuments({ to_case_id: caseId });
+        await Case.updateOne({ Case_id: caseId }, { $set: { Cited_By_Count: count } });
+    }
+}
+
+// Replaces the outgoing edges of a case and updates the counts they touch
+export async function recordCitations(caseId, source) {
+    const previousTargets = await Citation.distinct("to_case_id", { from_case_id: caseId });
+    const edges = await buildEdges(caseId, source);
+
+    const targetIds = edges.map(edge => edge.to_case_id).filter(Boolean);
+    const ingested = new Set(
+        (await Case.find({ Case_id: { $in: targetIds } }).select("Case_id").lean()).map(c => c.Case_id)
+    );
+
+    await Citation.deleteMany({ from_case_id: caseId });
+    if (edges.length > 0) {
+        await Citation.insertMany(edges.map(edge => ({
+            ...edge,
+            from_case_id: caseId,
+            resolved: ingested.has(edge.to_case_id),
+        })));
+    }
+
+    // Earlier judgments may already link to this one
+    await Citation.updateMany({ to_case_id: caseId, resolved: false }, { $set: { resolved: true } });
+    await refreshCitedByCounts([...previousTargets, ...targetIds, caseId]);
+
+    return { edges: edges.length, resolved: edges.filter(edge => ingested.has(edge.to_case_id)).length };
+}
+
+// BFS from one case. direction "cites" follows outgoing edges, "cited_by"
+// incoming ones. Returns { nodes, edges, truncated }.
+export async function getCitationGraph(caseId, { direction = "cites", depth = 1, treatments = null } = {}) {
+    const [from, to] = direction === "cites" ? ["from_case_id", "to_case_id"] : ["to_case_id", "from_case_id"];
+    const maxDepth = Math.min(Math.max(depth, 1), MAX_DEPTH);
+
+    const depths = new Map([[caseId, 0]]);
+    const edges = [];
+    let frontier = [caseId];
+    let truncated = false;
+
+    for (let level = 1; level <= maxDepth && frontier.length > 0; level++) {
+        const query = { [from]: { $in: frontier } };
+        if (treatments?.length) query.treatment = { $in: treatments };
+        const found = await Citation.find(query).select("-_id -__v -created_at").lean();
+
+        const next = [];
+        for (const edge of found) {
+            edges.push(edge);
+            const neighbour = edge[to];
+            if (!neighbour || depths.has(neighbour)) continue;
+            if (depths.size >= MAX_NODES) {
+                truncated = true;
+                continue;
+            }
+            depths.set(neighbour, level);
+            next.push(neighbour);
+        }
+        frontier = next;
+    }
+
+    const cases = await Case.find({ Case_id: { $in: [...depths.keys()] } })
+        .select("Case_id Case_Title Court_Name Judgment_Date Cited_By_Count")
+        .lean();
+    const byId = new Map(cases.map(c => [c.Case_id, c]));
+
+    const nodes = [...depths.entries()].map(([id, level]) => ({
+        case_id: id,
+        depth: level,
+        ingested: byId.has(id),
+        case_title: byId.get(id)?.Case_Title || null,
+        court: byId.get(id)?.Court_Name || null,
+        judgment_date: byId.get(id)?.Judgment_Date || null,
+        cited_by_count: byId.get(id)?.Cited_By_Count || 0,
+    }));
+
+    return { nodes, edges, truncated };
+}
+
+// Case_id -> Cited_By_Count, for ranking. Empty when Mongo is not connected.
+export async function getCitedByCounts(caseIds) {
+    if (mongoose.connection.readyState !== 1 || caseIds.length === 0) return new Map();
+    try {
+        const cases = await Case.find({ Case_id: { $in: caseIds } }).select("Case_id Cited_By_Count").lean();
+        return new Map(cases.map(c => [c.Case_id, c.Cited_By_Count || 0]));
+    } catch (error) {
+        console.error(`Citation counts unavailable: ${error.message}`);
+        return new Map();
+    }
+}
@@ -0,0 +1,91 @@
+// --- INLINE CITATION VERIFICATION ---
+// The chat prompt numbers the retrieved cases [1]..[n] in the same order as the
+// `sources` event. After generation we link every sentence carrying a marker
+// to its source, drop markers that point past the sources list, and flag
+// "X v. Y" case names the model mentions that were not in the retrieved context.
+
+const MARKER_PATTERN = /\[(\d{1,2})\]/g;
+const CASE_NAME_PATTERN = /\b([A-Z][\w.&'-]*(?:\s+(?:of\s+|and\s+)?[A-Z][\w.&'-]*){0,5})\s+(?:v\.|vs\.?|versus)\s+([A-Z][\w.&'-]*(?:\s+(?:of\s+|and\s+)?[A-Z][\w.&'-]*){0,5})/g;
+
+const GENERIC_PARTY_WORDS = new Set(["state", "union", "india", "of", "and", "the", "ors", "anr", "others", "another", "mr", "smt", "shri"]);
+
+// Abbreviations that end in a period without ending the sentence ("X v. Y", "S. 302")
+const ABBREVIATION_PATTERN = /\b(?:v|vs|no|nos|s|ss|art|sec|ltd|co|anr|ors|mr|mrs|dr|smt|hon'ble|viz|etc|i\.e|e\.g)\.$/i;
+
+function splitSentences(text) {
+    const sentences = [];
+    for (const line of text.split(/\n+/)) {
+        let current = "";
+        for (const piece of line.split(/(?<=[.!?])\s+/)) {
+            current = current ? `${current} ${piece}` : piece;
+            if (!ABBREVIATION_PATTERN.test(current)) {
+                sentences.push(current.trim());
+                current = "";
+            }
+        }
+        if (current) sentences.push(current.trim());
+    }
+    return sentences.filter(Boolean);
+}
+
+function partyTokens(name) {
+    return (name.toLowerCase().match(/[a-z]+/g) || [])
+        .filter(token => token.length > 2 && !GENERIC_PARTY_WORDS.has(token));
+}
+
+// A mention is backed by a source if its distinctive party words appear in a source title
+function findSourceForCaseName(caseName, sources) {
+    const tokens = partyTokens(caseName);
+    if (tokens.length === 0) return -1;
+    return sources.findIndex(source => {
+        const titleTokens = new Set(partyTokens(source.case_title || ""));
+        const matched = tokens.filter(token => titleTokens.has(token)).length;
+        return matched >= Math.min(2, tokens.length);
+    });
+}
+
+export function verifyCitations(answer, sources) {
+    const citations = [];
+    const invalidMarkers = new Set();
+
+    for (const sentence of splitSentences(answer)) {
+        for (const [, value] of sentence.matchAll(MARKER_PATTERN)) {
+            const marker = Number(value);
+            const source = sources[marker - 1];
+            if (source) {
+                citations.push({
+                    marker,
+                    source_index: marker - 1,
+                    case_title: source.case_title,
+                    sentence,
+                    status: "verified",
+                });
+            } else {
+                invalidMarkers.add(marker);
+                citations.push({ marker, sentence, status: "removed" });
+            }
+        }
+
+        for (const [caseName] of sentence.matchAll(CASE_NAME_PATTERN)) {
+            const sourceIndex = findSourceForCaseName(caseName, sources);
+            if (sourceIndex === -1) {
+                citations.push({ case_title: caseName.trim().replace(/[.,;:]+$/, ""), sentence, status: "unsupported" });
+            }
+        }
+    }
+
+    // Markers that point past the sources list cannot be backed by anything.
+    // The spaces before a removed marker go with it ("held [7]." -> "held."),
+    // unless a word follows directly; the rest of the answer is left as written.
+    const cleanedAnswer = answer.replace(/( *)\[(\d{1,2})\]/g, (match, spaces, value, offset, text) => {
+        if (!invalidMarkers.has(Number(value))) return match;
+        const next = text[offset + match.length];
+        return next === undefined || /[\s.,;:)]/.test(next) ? "" : spaces;
+    });
+
+    return {
+        answer: cleanedAnswer,
+        citations,
+        removedMarkers: [...invalidMarkers],
+    };
+}
@@ -0,0 +1,127 @@
+import path from "path";
+import mammoth from "mammoth";
+import { createRequire } from "module";
+const require = createRequire(import.meta.url);
+const { PDFParse, PasswordException } = require("pdf-parse");
+
+// --- TEXT EXTRACTION FOR UPLOADED DOCUMENTS ---
+// PDF, DOCX and plain text. Errors the client can fix carry `status = 400`
+// (or 413/415) so the controller can pass the message through.
+
+export const MAX_UPLOAD_BYTES = 10 * 1024 * 1024; // Same 10MB cap as requestSizeLimiter
+const MAX_UPLOAD_PDF_PAGES = 500;
+
+const FILE_TYPES = {
+    pdf: { mimeTypes: ["application/pdf"], extensions: [".pdf"] },
+    docx: {
+        mimeTypes: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+        extensions: [".docx"],
+    },
+    text: { mimeTypes: ["text/plain"], extensions: [".txt"] },
+};
+
+function clientError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+export function detectFileType(file) {
+    const extension = path.extname(file.originalname || "").toLowerCase();
+    // Magic bytes first, browsers are not reliable about mimetypes
+    if (file.buffer.subarray(0, 5).toString() === "%PDF-") return "pdf";
+    for (const [type, { mimeTypes, extensions }] of Object.entries(FILE_TYPES)) {
+        if (mimeTypes.includes(file.mimetype) || extensions.includes(extension)) return type;
+    }
+    return null;
+}
+
+// Page text plus page-level metadata. Throws a 400 for encrypted or broken PDFs,
+// and a 413 for PDFs over `maxPages` (only uploads are capped; judgments
+// fetched for chat context or imported in bulk can be longer).
+export async function extractPdfText(buffer, { maxPages = Infinity } = {}) {
+    const parser = new PDFParse({ data: buffer });
+    try {
+        // Page count comes from the document header, before any page is parsed
+        const { total } = await parser.getInfo();
+        if (total > maxPages) {
+            throw clientError(`PDF has ${total} pages, the limit is ${maxPages}`, 413);
+        }
+        const result = await parser.getText();
+        const pages = result.pages.map(page => ({
+            page: page.num,
+            chars: page.text.trim().length,
+            words: page.text.split(/\s+/).filter(Boolean).length,
+        }));
+        // Join pages ourselves; result.text carries "-- n of N --" page markers
+        const text = result.pages.map(page => page.text).join("\n\n");
+        return { text, pageCount: result.total, pages };
+    } catch (error) {
+        if (error.status) throw error;
+        if (error instanceof PasswordException || error.name === "PasswordException") {
+            throw clientError("PDF is encrypted or password protected. Please upload an unprotected copy.");
+        }
+        throw clientError(`Could not read PDF: ${error.message}`);
+    } finally {
+        await parser.destroy();
+    }
+}
+
+async function extractDocxText(buffer) {
+    try {
+        const { value } = await mammoth.extractRawText({ buffer });
+        return { text: value, pageCount: null, pages: [] };
+    } catch (error) {
+        throw clientError(`Could not read DOCX file: ${error.message}`);
+    }
+}
+
+function extractPlainText(buffer) {
+    const text = buffer.toString("utf8");
+    if (text.includes("\u0000")) {
+        throw clientError("File does not look like plain text");
+    }
+    return { text, pageCount: null, pages: [] };
+}
+
+// file: a multer memory-storage file ({ buffer, originalname, mimetype, size })
+export async function extractUploadedText(file) {
+    if (file.size > MAX_UPLOAD_BYTES) {
+        throw clientError("File too large. Maximum size allowed is 10MB.", 413);
+    }
+
+    const type = detectFileType(file);
+    let extracted;
+    switch (type) {
+        case "pdf":
+            extracted = await extractPdfText(file.buffer, { maxPages: MAX_UPLOAD_PDF_PAGES });
+            break;
+        case "docx":
+            extracted = await extractDocxText(file.buffer);
+            break;
+        case "text":
+            extracted = extractPlainText(file.buffer);
+            break;
+        default:
+            throw clientError("Unsupported file type. Upload a PDF, DOCX or plain-text file.", 415);
+    }
+
+    if (!extracted.text || extracted.text.trim().length === 0) {
+        throw clientError(type === "pdf"
+            ? "No text found in PDF. Scanned documents are not supported yet."
+            : "No text found in file.");
+    }
+
+    return {
+        type,
+        text: extracted.text,
+        metadata: {
+            filename: file.originalname,
+            content_type: file.mimetype,
+            size: file.size,
+            page_count: extracted.pageCount,
+            pages: extracted.pages,
+            chars: extracted.text.length,
+        },
+    };
+}
@@ -0,0 +1,294 @@
+import { createHash } from "crypto";
+import { Document } from "@langchain/core/documents";
+import Case from "../models/case.model.js";
+import IngestionLog from "../models/ingestionLog.model.js";
+import { getVectorStore } from "./vectorStore.js";
+import { chunkLegalDocument } from "./chunking.js";
+import { uploadToR2, readFromR2, R2_BUCKET } from "./storage.js";
+import { recordCitations } from "./citationGraph.js";
+import { getSource, DEFAULT_SOURCE } from "./sources/index.js";
+
+// --- CASE INGESTION PIPELINE ---
+// fetch -> parse -> store (R2 + Case) -> chunk -> embed -> upsert into the
+// vector store, with the Case's `ingestion` field recording how far it got.
+// Fetching and parsing are per court source (utils/sources/).
+// Idempotent on Case_id: the Case is upserted and vector IDs are derived from
+// Case_id and chunk index, so running it twice overwrites instead of
+// duplicating. An already indexed case is only re-embedded when asked to.
+
+const EMBED_CHUNK_CHARS = 2000;
+const EMBED_BATCH_SIZE = 32;
+
+class IngestionError extends Error {
+    constructor(stage, cause) {
+        super(`${stage} failed: ${cause.message}`);
+        this.name = "IngestionError";
+        this.stage = stage;
+        this.status = cause.status;
+        // Set by utils/sources/http.js on fetch failures
+        this.upstreamStatus = cause.upstreamStatus;
+        this.attempts = cause.attempts;
+    }
+}
+
+async function runStage(stage, fn) {
+    try {
+        return await fn();
+    } catch (error) {
+        throw error instanceof IngestionError ? error : new IngestionError(stage, error);
+    }
+}
+
+// Judgment text saved by an earlier run, back to plain text
+function storedJudgmentToText(stored) {
+    return stored
+        .replace(/<br\s*\/?>/gi, "\n\n")
+        .replace(/<\/?pre>/gi, "")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+}
+
+// --- EMBED ---
+
+function found(value) {
+    return value && value !== 'Not Found' ? value : undefined;
+}
+
+// Year from the judgment date, the citation ("AIR 1973 SC 1461") or the title
+function caseYear(caseDoc) {
+    if (caseDoc.Judgment_Date) return new Date(caseDoc.Judgment_Date).getUTCFullYear();
+    const match = `${found(caseDoc.Citations) || ""} ${caseDoc.Case_Title}`.match(/\b(19|20)\d{2}\b/);
+    return match ? Number(match[0]) : undefined;
+}
+
+// The metadata chat retrieval reads (utils/retrieval.js). Pinecone rejects
+// null values, so missing fields are left out.
+export function caseVectorMetadata(caseDoc) {
+    const metadata = {
+        case_id: caseDoc.Case_id,
+        case_title: caseDoc.Case_Title,
+        court: found(caseDoc.Court_Name),
+        judge: found(caseDoc.Judgment_Author),
+        bench: found(caseDoc.Bench),
+        year: caseYear(caseDoc),
+        r2_url: process.env.R2_PUBLIC_URL && caseDoc.PDF_Path ? `${process.env.R2_PUBLIC_URL}/${caseDoc.PDF_Path}` : undefined,
+    };
+    return Object.fromEntries(Object.entries(metadata).filter(([, value]) => value !== undefined));
+}
+
+function vectorId(caseId, index) {
+    return `case-${caseId}-${index}`;
+}
+
+async function embedCase(caseDoc, text) {
+    const vectorStore = getVectorStore();
+    const metadata = caseVectorMetadata(caseDoc);
+    const chunks = chunkLegalDocument(text, { chunkSize: EMBED_CHUNK_CHARS });
+
+    for (let i = 0; i < chunks.length; i += EMBED_BATCH_SIZE) {
+        const batch = chunks.slice(i, i + EMBED_BATCH_SIZE);
+        await vectorStore.addDocuments(
+            batch.map(chunk => new Document({
+                pageContent: chunk.text,
+                metadata: { ...metadata, chunk_index: chunk.index, ...(chunk.heading && { heading: chunk.heading.slice(0, 100) }) },
+            })),
+            { ids: batch.map(chunk => vectorId(caseDoc.Case_id, chunk.index)) }
+        );
+    }
+
+    // A shorter re-embed leaves the old tail behind
+    const previous = caseDoc.ingestion?.chunks || 0;
+    if (previous > chunks.length) {
+        const stale = [];
+        for (let index = chunks.length; index < previous; index++) stale.push(vectorId(caseDoc.Case_id, index));
+        await vectorStore.delete({ ids: stale });
+    }
+
+    return chunks.length;
+}
+
+// --- PIPELINE ---
+
+async function setStatus(caseId, fields) {
+    const update = Object.fromEntries(Object.entries(fields).map(([key, value]) => [`ingestion.${key}`, value]));
+    return Case.findOneAndUpdate(
+        { Case_id: caseId },
+        { $set: { ...update, "ingestion.updated_at": new Date() } },
+        { new: true }
+    );
+}
+
+async function embedAndRecord(caseDoc, text) {
+    const chunks = await runStage("embed", () => embedCase(caseDoc, text));
+    return setStatus(caseDoc.Case_id, {
+        status: "indexed",
+        stage: null,
+        error: null,
+        chunks,
+        embedded_at: new Date(),
+    });
+}
+
+function hashJudgment({ details, text }) {
+    return createHash("sha256").update(JSON.stringify(details)).update(text).digest("hex");
+}
+
+// Failures also go to IngestionLog, since the Case only keeps the latest one
+async function logFailure(entry, error) {
+    try {
+        await IngestionLog.create({
+            ...entry,
+            stage: error.stage || null,
+            error: error.message,
+            upstream_status: error.upstreamStatus || null,
+            attempts: error.attempts || 1,
+        });
+    } catch (logError) {
+        console.error(`Could not log ingestion failure for ${entry.case_id}: ${logError.message}`);
+    }
+}
+
+// Re-embeds from the judgment text already in R2, no scraping
+export async function reembedCase(caseId) {
+    const caseDoc = await Case.findOne({ Case_id: caseId });
+    if (!caseDoc) {
+        const error = new Error(`Case ${caseId} not found`);
+        error.status = 404;
+        throw error;
+    }
+
+    try {
+        const stored = await runStage("fetch", () => readFromR2(R2_BUCKET, caseDoc.judgement_path));
+        return await embedAndRecord(caseDoc, storedJudgmentToText(stored.toString("utf8")));
+    } catch (error) {
+        await setStatus(caseId, { status: "failed", stage: error.stage, error: error.message });
+        throw error;
+    }
+}
+
+// Shared tail of every ingestion path once a judgment has been fetched and
+// parsed: R2 + Case upsert, citation graph, embeddings.
+// parsed: { details (Case fields), judgmentHtml, text, links }, pdf: Buffer or
+// null, origin: { source, source_url } for scraped judgments
+async function storeAndIndex(caseId, parsed, pdf, origin = {}) {
+    const { details, judgmentHtml, text, links = [] } = parsed;
+
+    const caseDoc = await runStage("store", async () => {
+        const judgmentKey = `judgmenttxts/${caseId}.txt`;
+        const pdfKey = `case_pdfs/case_${caseId}.pdf`;
+        await uploadToR2(R2_BUCKET, judgmentKey, judgmentHtml, 'text/plain');
+        if (pdf) await uploadToR2(R2_BUCKET, pdfKey, pdf, 'application/pdf');
+
+        // Sources leave out what they could not find
+        const fields = Object.fromEntries(Object.entries(details).filter(([, value]) => value !== undefined));
+        return Case.findOneAndUpdate(
+            { Case_id: caseId },
+            {
+                $set: {
+                    Case_id: caseId,
+                    ...fields,
+                    ...origin,
+                    ...(pdf && { PDF_Path: pdfKey }),
+                    judgement_path: judgmentKey,
+                    "ingestion.status": "stored",
+                    "ingestion.updated_at": new Date(),
+                },
+            },
+            { upsert: true, new: true, runValidators: true }
+        );
+    });
+
+    // The graph is a bonus; a failure here should not keep the case out of the index
+    try {
+        const { edges, resolved } = await recordCitations(caseId, { links, text });
+        console.log(`Case ${caseId} cites ${edges} judgments (${resolved} already ingested)`);
+    } catch (error) {
+        console.error(`Citation graph update for ${caseId} failed: ${error.message}`);
+    }
+
+    return embedAndRecord(caseDoc, text);
+}
+
+// Same stages for a judgment that is already on disk (scripts/importCases.js).
+// details: Case fields, text: judgment text, pdf: the judgment PDF.
+// Returns { case, skipped, result } like ingestCase.
+export async function ingestLocalCase(caseId, { details, text, pdf }, { reembed = false } = {}) {
+    const existing = await Case.findOne({ Case_id: caseId });
+    if (existing?.ingestion?.status === "indexed" && !reembed) {
+        return { case: existing, skipped: true, result: "skipped" };
+    }
+
+    // Stored in R2 the way scraped judgments are
+    const judgmentHtml = text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean).map(p => `${p}<br />`).join("");
+
+    try {
+        const caseDoc = await storeAndIndex(caseId, { details, judgmentHtml, text }, pdf);
+        return { case: caseDoc, skipped: false, result: existing ? "updated" : "ingested" };
+    } catch (error) {
+        await setStatus(caseId, { status: "failed", stage: error.stage, error: error.message });
+        await logFailure({ source: "local", docid: caseId, case_id: caseId }, error);
+        throw error;
+    }
+}
+
+// Returns { case, skipped, result }, result being "ingested", "updated",
+// "unchanged", "reembedded" or "skipped". An indexed case is skipped unless
+// `refresh` (re-fetch, conditional on ETag/Last-Modified and the content
+// hash, and re-index only if the judgment changed) or `reembed` (embed again
+// from R2) is set. `source` picks the site docid belongs to (utils/sources/).
+export async function ingestCase(docid, { reembed = false, refresh = false, source: sourceName = DEFAULT_SOURCE } = {}) {
+    const source = getSource(sourceName);
+    if (!source.validateId(docid)) {
+        const error = new Error(`"${docid}" is not a valid ${source.label} document id`);
+        error.status = 400;
+        throw error;
+    }
+
+    const caseId = source.caseId(docid);
+    const existing = await Case.findOne({ Case_id: caseId });
+    const indexed = existing?.ingestion?.status === "indexed";
+    if (indexed && !refresh) {
+        return reembed
+            ? { case: await reembedCase(caseId), skipped: false, result: "reembedded" }
+            : { case: existing, skipped: true, result: "skipped" };
+    }
+
+    try {
+        const previous = indexed ? existing.last_fetch || {} : {};
+        const page = await runStage("fetch", () =>
+            source.fetchPage(docid, { etag: previous.etag, lastModified: previous.last_modified }));
+
+        let parsed = null;
+        let contentHash = previous.content_hash;
+        if (!page.notModified) {
+            parsed = await runStage("parse", () => source.parse(page.data));
+            contentHash = hashJudgment(parsed);
+        }
+        const lastFetch = {
+            etag: page.etag || previous.etag,
+            last_modified: page.lastModified || previous.last_modified,
+            content_hash: contentHash,
+            fetched_at: new Date(),
+        };
+
+        if (indexed && contentHash === previous.content_hash) {
+            await Case.updateOne({ Case_id: caseId }, { $set: { last_fetch: lastFetch } });
+            return reembed
+                ? { case: await reembedCase(caseId), skipped: false, result: "reembedded" }
+                : { case: await Case.findOne({ Case_id: caseId }), skipped: true, result: "unchanged" };
+        }
+
+        const pdf = await runStage("fetch", () => source.fetchPdf(docid));
+        const origin = { source: source.name, source_url: source.url(docid), last_fetch: lastFetch };
+        const caseDoc = await storeAndIndex(caseId, parsed, pdf, origin);
+        return { case: caseDoc, skipped: false, result: existing ? "updated" : "ingested" };
+    } catch (error) {
+        // A failed refresh leaves an indexed case as it was, unless it got as
+        // far as overwriting it. No-op when the Case was never created.
+        if (!indexed || !["fetch", "parse"].includes(error.stage)) {
+            await setStatus(caseId, { status: "failed", stage: error.stage, error: error.message });
+        }
+        await logFailure({ source: source.name, docid, case_id: caseId }, error);
+        throw error;
+    }
+}
@@ -0,0 +1,193 @@
+import mongoose from "mongoose";
+import { randomUUID } from "crypto";
+import Job from "../models/job.model.js";
+
+// --- MONGO-BACKED JOB QUEUE ---
+// Jobs are claimed atomically with findOneAndUpdate, so several processes can
+// share the queue. A running job refreshes `lockedAt` every few seconds; if a
+// server dies mid-job the lock goes stale and the job is queued again, which
+// is how jobs resume after a restart. Failures and interruptions both count
+// towards `maxAttempts`; failures retry with exponential backoff.
+
+const WORKER_ID = `${process.pid}-${randomUUID().slice(0, 8)}`;
+const POLL_INTERVAL_MS = 2000;
+const HEARTBEAT_MS = 15000;
+const STALE_LOCK_MS = 60000;
+const RETRY_BASE_MS = 10000;
+const MAX_CONCURRENT_JOBS = Number(process.env.JOB_CONCURRENCY || 1);
+
+const handlers = new Map();
+let runningJobs = 0;
+let pollTimer = null;
+let polling = false;
+
+export class JobCancelledError extends Error {
+    constructor() {
+        super("Job cancelled");
+        this.name = "JobCancelledError";
+    }
+}
+
+// Another worker requeued the job (our lock went stale) and now owns it; this
+// worker stops without touching the job
+class JobLockLostError extends Error {
+    constructor() {
+        super("Job lock lost");
+        this.name = "JobLockLostError";
+    }
+}
+
+export function registerJobHandler(type, handler) {
+    handlers.set(type, handler);
+}
+
+export async function enqueueJob(type, user, input, { maxAttempts = 3 } = {}) {
+    return Job.create({ jobId: randomUUID(), type, user, input, maxAttempts });
+}
+
+// Queued jobs are cancelled on the spot; running ones stop at their next progress update
+export async function cancelJob(jobId) {
+    const queued = await Job.findOneAndUpdate(
+        { jobId, status: "queued" },
+        { status: "cancelled", cancelRequested: true, finished_at: new Date() },
+        { new: true }
+    );
+    if (queued) return queued;
+
+    return Job.findOneAndUpdate(
+        { jobId, status: "running" },
+        { cancelRequested: true },
+        { new: true }
+    );
+}
+
+// A job that keeps killing its worker would otherwise be requeued forever, so
+// an interrupted job that has used up its attempts is failed instead
+async function requeueStaleJobs() {
+    const stale = { status: "running", lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } };
+    const exhausted = { $expr: { $gte: ["$attempts", "$maxAttempts"] } };
+
+    const { modifiedCount: failed } = await Job.updateMany(
+        { ...stale, ...exhausted },
+        {
+            status: "failed",
+            lockedBy: null,
+            error: "Interrupted too many times",
+            "progress.message": "Interrupted too many times",
+            finished_at: new Date(),
+        }
+    );
+    if (failed > 0) console.log(`Failed ${failed} interrupted job(s) with no attempts left`);
+
+    const { modifiedCount: requeued } = await Job.updateMany(
+        stale,
+        { status: "queued", lockedBy: null, runAfter: new Date(), "progress.message": "Resuming after interruption" }
+    );
+    if (requeued > 0) console.log(`Requeued ${requeued} interrupted job(s)`);
+}
+
+async function claimNextJob() {
+    return Job.findOneAndUpdate(
+        { status: "queued", runAfter: { $lte: new Date() }, type: { $in: [...handlers.keys()] } },
+        {
+            status: "running",
+            lockedBy: WORKER_ID,
+            lockedAt: new Date(),
+            $inc: { attempts: 1 },
+        },
+        { sort: { runAfter: 1 }, new: true }
+    );
+}
+
+async function runJob(job) {
+    const handler = handlers.get(job.type);
+    const heartbeat = setInterval(() => {
+        Job.updateOne({ jobId: job.jobId, lockedBy: WORKER_ID }, { lockedAt: new Date() })
+            .catch(error => console.error(`Job heartbeat failed: ${error.message}`));
+    }, HEARTBEAT_MS);
+
+    // Handlers report progress through this; it is also where cancellation lands
+    const progress = async (stage, percent, message = "") => {
+        const updated = await Job.findOneAndUpdate(
+            { jobId: job.jobId, lockedBy: WORKER_ID },
+            { progress: { stage, percent: Math.round(percent), message }, lockedAt: new Date() },
+            { new: true, projection: { cancelRequested: 1 } }
+        );
+        if (!updated) throw new JobLockLostError();
+        if (updated.cancelRequested) throw new JobCancelledError();
+    };
+
+    try {
+        console.log(`Running job ${job.jobId} (${job.type}), attempt ${job.attempts}/${job.maxAttempts}`);
+        const result = await handler(job, { progress });
+        await Job.updateOne(
+            { jobId: job.jobId, lockedBy: WORKER_ID },
+            {
+                status: "completed",
+                result,
+                error: null,
+                progress: { stage: "done", percent: 100, message: "Completed" },
+                finished_at: new Date(),
+            }
+        );
+    } catch (error) {
+        if (error instanceof JobLockLostError) {
+            console.warn(`Job ${job.jobId} lost its lock to another worker, stopping`);
+            return;
+        }
+        if (error instanceof JobCancelledError) {
+            await Job.updateOne(
+                { jobId: job.jobId, lockedBy: WORKER_ID },
+                { status: "cancelled", "progress.message": "Cancelled", finished_at: new Date() }
+            );
+            console.log(`Job ${job.jobId} cancelled`);
+            return;
+        }
+
+        console.error(`Job ${job.jobId} failed:`, error.message);
+        const canRetry = job.attempts < job.maxAttempts;
+        await Job.updateOne(
+            { jobId: job.jobId, lockedBy: WORKER_ID },
+            canRetry
+                ? {
+                    status: "queued",
+                    error: error.message,
+                    lockedBy: null,
+                    runAfter: new Date(Date.now() + RETRY_BASE_MS * 2 ** (job.attempts - 1)),
+                    "progress.message": `Attempt ${job.attempts} failed, retrying`,
+                }
+                : { status: "failed", error: error.message, finished_at: new Date() }
+        );
+    } finally {
+        clearInterval(heartbeat);
+    }
+}
+
+// A slow poll must not overlap the next one: both would see a free slot and
+// claim a job, going over JOB_CONCURRENCY
+async function poll() {
+    if (polling || mongoose.connection.readyState !== 1) return;
+
+    polling = true;
+    try {
+        await requeueStaleJobs();
+        while (runningJobs < MAX_CONCURRENT_JOBS) {
+            const job = await claimNextJob();
+            if (!job) break;
+            runningJobs += 1;
+            runJob(job).finally(() => {
+                runningJobs -= 1;
+            });
+        }
+    } catch (error) {
+        console.error(`Job queue poll failed: ${error.message}`);
+    } finally {
+        polling = false;
+    }
+}
+
+export function startJobWorker() {
+    if (pollTimer) return;
+    pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+    console.log(`Job worker ${WORKER_ID} started`);
+}
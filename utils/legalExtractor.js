@@ -0,0 +1,150 @@
+import { parseStatuteReference } from "./statutes.js";
+
+// --- DETERMINISTIC CITATION AND STATUTE EXTRACTION ---
+// Regex pass over the judgment text, run before the LLM. Everything found
+// here is literally in the document, so it is marked "extracted"; what only
+// the LLM reports is "inferred" (see mergeStatutes).
+
+const REPORTER_PATTERNS = [
+    // AIR 1973 SC 1461, AIR 1950 Bom 123
+    { reporter: "AIR", pattern: /\bA\.?I\.?R\.?\s+(\d{4})\s+([A-Z][A-Za-z]{1,10}(?:\s[A-Z][a-z]+)?)\s+(\d{1,5})\b/g, fields: ["year", "court", "page"] },
+    // 2021 SCC OnLine SC 1234 (before plain SCC so it is not cut short)
+    { reporter: "SCC OnLine", pattern: /\b(\d{4})\s+SCC\s+On\s?Line\s+([A-Z][A-Za-z]{1,10})\s+(\d{1,6})\b/g, fields: ["year", "court", "page"] },
+    // (1973) 4 SCC 225, (2010) 1 SCC (Cri) 123
+    { reporter: "SCC", pattern: /\((\d{4})\)\s*(\d{1,2})\s+SCC\s+(?:\((Cri|Civ|L&S)\)\s+)?(\d{1,5})\b/g, fields: ["year", "volume", "series", "page"] },
+    // [1973] Supp SCR 1, (1950) 1 SCR 88, 1950 SCR 88
+    { reporter: "SCR", pattern: /[[(]?(\d{4})[\])]?\s+(?:(\d{1,2})\s+)?(?:Supp\.?\s+)?S\.?C\.?R\.?\s+(\d{1,5})\b/g, fields: ["year", "volume", "page"] },
+    // 1990 Cri LJ 123
+    { reporter: "Cri LJ", pattern: /\b(\d{4})\s+Cri\.?\s?L\.?\s?J\.?\s+(\d{1,5})\b/g, fields: ["year", "page"] },
+    // Neutral citations: 2023 INSC 123, 2023:DHC:4567, 2024:BHC-AS:1234
+    { reporter: "INSC", pattern: /\b(\d{4})\s+INSC\s+(\d{1,5})\b/g, fields: ["year", "page"], neutral: true },
+    { reporter: "HC neutral", pattern: /\b(\d{4}):([A-Z]{2,6}(?:-[A-Z]{2,4})?):(\d{1,6})(?:-[A-Z]{2,3})?\b/g, fields: ["year", "court", "page"], neutral: true },
+];
+
+// Act names not in the statute registry: "Maharashtra Control of Organised Crime Act, 1999".
+// Found from the "Act, 1999" end and read backwards over a bounded window, so
+// long runs of capitalised words cannot make the regex backtrack.
+const ACT_END_PATTERN = /\b(Act|Code|Sanhita|Adhiniyam|Ordinance),?\s+(\d{4})\b/g;
+const ACT_NAME_WORD = String.raw`(?:[A-Z][A-Za-z'&]*|of|and|the|for|in|\([A-Z][A-Za-z]*(?:[\s,]+[A-Za-z]+){0,6}\))`;
+const ACT_NAME_BEFORE = new RegExp(String.raw`(?:^|\s)(${ACT_NAME_WORD}(?:\s+${ACT_NAME_WORD}){0,11})\s+$`);
+const ACT_NAME_WINDOW = 200;
+
+// Cheap pre-check before the (slower) statute parser runs on a sentence
+const STATUTE_HINT = /\b(?:sections?|secs?|ss|articles?|arts?|u\/s|s\.|act|code|sanhita|adhiniyam|constitution|ipc|crpc|cpc)\b/i;
+
+function normalizeCitation(text) {
+    return text.replace(/\s+/g, " ").trim();
+}
+
+export function extractCitations(text) {
+    const found = new Map();
+    const taken = [];
+
+    for (const { reporter, pattern, fields, neutral } of REPORTER_PATTERNS) {
+        for (const match of String(text || "").matchAll(pattern)) {
+            const start = match.index;
+            const end = start + match[0].length;
+            // SCC OnLine already claimed this span
+            if (taken.some(([s, e]) => start < e && end > s)) continue;
+            taken.push([start, end]);
+
+            const citation = normalizeCitation(match[0]);
+            const existing = found.get(citation);
+            if (existing) {
+                existing.occurrences += 1;
+                continue;
+            }
+            const parts = Object.fromEntries(fields.map((field, i) => [field, match[i + 1] || null]));
+            found.set(citation, {
+                citation,
+                reporter,
+                neutral: Boolean(neutral),
+                year: Number(parts.year),
+                ...(parts.court && { court: parts.court }),
+                ...(parts.volume && { volume: Number(parts.volume) }),
+                ...(parts.series && { series: parts.series }),
+                page: Number(parts.page),
+                occurrences: 1,
+            });
+        }
+    }
+
+    return [...found.values()];
+}
+
+function splitSentences(text) {
+    return String(text || "").split(/(?<=[.;!?])\s+(?=[A-Z(])|\n+/);
+}
+
+// Canonical statutes (utils/statutes.js) referred to anywhere in the text,
+// plus act names that are not in the registry
+export function extractStatuteReferences(text) {
+    const statutes = new Map();
+
+    for (const sentence of splitSentences(text)) {
+        if (sentence.length > 2000 || !STATUTE_HINT.test(sentence)) continue;
+        const { statutes: parsed } = parseStatuteReference(sentence);
+        for (const statute of parsed) {
+            const existing = statutes.get(statute.id);
+            if (existing) {
+                existing.occurrences += 1;
+            } else {
+                statutes.set(statute.id, { ...statute, occurrences: 1 });
+            }
+        }
+    }
+
+    // "the NDPS Act" on its own adds nothing once one of its sections is known
+    for (const [id, statute] of statutes) {
+        if (!statute.section && [...statutes.values()].some(s => s.act === statute.act && s.section)) {
+            statutes.delete(id);
+        }
+    }
+
+    const unregisteredActs = new Map();
+    const source = String(text || "");
+    for (const match of source.matchAll(ACT_END_PATTERN)) {
+        const before = source.slice(Math.max(0, match.index - ACT_NAME_WINDOW), match.index);
+        const words = before.match(ACT_NAME_BEFORE)?.[1];
+        if (!words) continue;
+        const name = `${words} ${match[1]}`.replace(/^(?:(?:the|of|and|for|in)\s+)+/i, "").replace(/\s+/g, " ").trim();
+        const { statutes: known } = parseStatuteReference(`${name}, ${match[2]}`);
+        if (known.length > 0 || name.split(" ").length < 2) continue;
+        const key = `${name.toLowerCase()}|${match[2]}`;
+        if (!unregisteredActs.has(key)) unregisteredActs.set(key, { name, year: Number(match[2]) });
+    }
+
+    return { statutes: [...statutes.values()], unregisteredActs: [...unregisteredActs.values()] };
+}
+
+export function extractLegalReferences(text) {
+    const { statutes, unregisteredActs } = extractStatuteReferences(text);
+    return { citations: extractCitations(text), statutes, unregisteredActs };
+}
+
+// Extracted statutes win; LLM-only statutes are kept as "inferred". The LLM's
+// description is used for both when it has one.
+export function mergeStatutes(extracted, inferred) {
+    const merged = new Map();
+    for (const statute of extracted) {
+        merged.set(statute.id, { ...statute, description: statute.description || null, source: "extracted" });
+    }
+    for (const statute of inferred) {
+        const existing = merged.get(statute.id);
+        if (existing) {
+            merged.set(statute.id, {
+                ...existing,
+                subsection: existing.subsection || statute.subsection,
+                description: statute.description || existing.description,
+                raw: statute.raw,
+            });
+        } else {
+            merged.set(statute.id, { ...statute, source: "inferred" });
+        }
+    }
+
+    // An act-level entry from the LLM is redundant next to sections of the same act
+    return [...merged.values()].filter(statute =>
+        statute.section || ![...merged.values()].some(s => s.act === statute.act && s.section)
+    );
+}
@@ -0,0 +1,387 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+import fs from "fs";
+import { ChatGroq } from "@langchain/groq";
+import { ChatOpenAI } from "@langchain/openai";
+import { AIMessage, AIMessageChunk, HumanMessage } from "@langchain/core/messages";
+
+// --- PROVIDER CONFIG ---
+// Lower priority runs first. `tasks` limits which calls a provider serves
+// (chat, summary, lsi) and `taskPriority` reorders it for a single task.
+// Keys are read from the env vars listed in `apiKeyEnv` and rotated in order.
+const DEFAULT_PROVIDERS = [
+    {
+        name: "groq",
+        type: "groq",
+        model: "llama-3.3-70b-versatile",
+        priority: 1,
+        tasks: ["chat", "summary", "lsi"],
+        taskPriority: { lsi: 2 },
+        apiKeyEnv: ["GROQ_API_KEY", "GROQ_API_KEY_2", "GROQ_API_KEY_3"],
+    },
+    {
+        // GPT-4o-mini - good for LSI extraction (cheaper, 512k daily tokens)
+        name: "openai",
+        type: "openai",
+        model: "gpt-4o-mini",
+        priority: 2,
+        tasks: ["chat", "summary", "lsi"],
+        taskPriority: { lsi: 1 },
+        apiKeyEnv: ["OPENAI_API_KEY"],
+    },
+    {
+        // Any OpenAI-compatible server (Ollama, LM Studio, vLLM, llama.cpp)
+        name: "local",
+        type: "openai-compatible",
+        model: process.env.LOCAL_LLM_MODEL || "llama3.1",
+        baseURL: process.env.LOCAL_LLM_URL,
+        priority: 3,
+        tasks: ["chat", "summary", "lsi"],
+        apiKeyEnv: ["LOCAL_LLM_API_KEY"],
+    },
+    {
+        // Deterministic stand-in for development and CI, never hits the network
+        name: "mock",
+        type: "mock",
+        model: "mock-legal-1",
+        priority: 99,
+        tasks: ["chat", "summary", "lsi"],
+        enabled: process.env.LLM_MOCK === "true",
+    },
+];
+
+const KEY_FAILURE_LIMIT = 3;
+const KEY_FAILURE_RESET_MS = 60000;
+
+// LLM_PROVIDERS_FILE: JSON array merged over the defaults by `name`.
+// LLM_PROVIDERS: comma separated names, selects and orders providers (e.g. "mock").
+function loadProviderConfig() {
+    let providers = DEFAULT_PROVIDERS.map(p => ({ ...p }));
+
+    if (process.env.LLM_PROVIDERS_FILE) {
+        try {
+            const overrides = JSON.parse(fs.readFileSync(process.env.LLM_PROVIDERS_FILE, "utf8"));
+            for (const override of overrides) {
+                const existing = providers.find(p => p.name === override.name);
+                if (existing) Object.assign(existing, override);
+                else providers.push({ tasks: ["chat", "summary", "lsi"], priority: 50, ...override });
+            }
+        } catch (error) {
+            console.error(`Could not read LLM_PROVIDERS_FILE: ${error.message}`);
+        }
+    }
+
+    if (process.env.LLM_PROVIDERS) {
+        const order = process.env.LLM_PROVIDERS.split(",").map(s => s.trim()).filter(Boolean);
+        providers = order
+            .map((name, index) => {
+                const provider = providers.find(p => p.name === name);
+                if (!provider) {
+                    console.error(`Unknown LLM provider in LLM_PROVIDERS: ${name}`);
+                    return null;
+                }
+                // Explicit selection wins over the enabled flag and configured priority
+                return { ...provider, enabled: true, priority: index, taskPriority: {} };
+            })
+            .filter(Boolean);
+    }
+
+    return providers.map(p => ({
+        ...p,
+        apiKeys: (p.apiKeys || []).concat((p.apiKeyEnv || []).map(name => process.env[name])).filter(Boolean),
+        keyIndex: 0,
+        keyFailures: new Map(),
+        health: { status: "healthy", failures: 0, lastError: null, lastFailureAt: null, lastSuccessAt: null },
+    }));
+}
+
+const providers = loadProviderConfig();
+
+function isConfigured(provider) {
+    if (provider.enabled === false) return false;
+    switch (provider.type) {
+        case "mock":
+            return provider.enabled === true;
+        case "openai-compatible":
+            return Boolean(provider.baseURL);
+        default:
+            return provider.apiKeys.length > 0;
+    }
+}
+
+function priorityFor(provider, task) {
+    return provider.taskPriority?.[task] ?? provider.priority;
+}
+
+// Configured providers for a task, healthy ones first, then by priority
+export function getProvidersForTask(task = "chat") {
+    return providers
+        .filter(p => isConfigured(p) && p.tasks.includes(task))
+        .sort((a, b) => {
+            const downA = a.health.status === "down" ? 1 : 0;
+            const downB = b.health.status === "down" ? 1 : 0;
+            return downA - downB || priorityFor(a, task) - priorityFor(b, task);
+        });
+}
+
+export function getProviderHealth() {
+    return providers.filter(isConfigured).map(p => ({
+        name: p.name,
+        type: p.type,
+        model: p.model,
+        priority: p.priority,
+        tasks: p.tasks,
+        keys: p.apiKeys.length,
+        ...p.health,
+    }));
+}
+
+// --- KEY ROTATION ---
+
+function getNextApiKey(provider) {
+    const keys = provider.apiKeys;
+    if (keys.length === 0) return undefined;
+
+    // Find a working key (skip keys that have failed recently)
+    for (let i = 0; i < keys.length; i++) {
+        const index = (provider.keyIndex + i) % keys.length;
+        const failures = provider.keyFailures.get(keys[index]) || 0;
+
+        if (failures < KEY_FAILURE_LIMIT) {
+            provider.keyIndex = (index + 1) % keys.length;
+            if (keys.length > 1) console.log(`Using ${provider.name} API key #${index + 1}`);
+            return keys[index];
+        }
+    }
+
+    // If all keys have failed, reset and try the first one
+    provider.keyFailures.clear();
+    provider.keyIndex = 0;
+    console.log(`All ${provider.name} keys exhausted, resetting...`);
+    return keys[0];
+}
+
+export function markProviderFailed(provider, apiKey, error) {
+    if (apiKey) {
+        const failures = provider.keyFailures.get(apiKey) || 0;
+        provider.keyFailures.set(apiKey, failures + 1);
+        console.log(`${provider.name} key marked as failed (${failures + 1} failures)`);
+
+        // Clear failure counts after 60 seconds
+        setTimeout(() => {
+            provider.keyFailures.delete(apiKey);
+        }, KEY_FAILURE_RESET_MS).unref();
+    }
+
+    const health = provider.health;
+    health.failures += 1;
+    health.lastError = error?.message || String(error);
+    health.lastFailureAt = new Date();
+    const exhausted = provider.apiKeys.length === 0 ||
+        provider.apiKeys.every(key => (provider.keyFailures.get(key) || 0) >= KEY_FAILURE_LIMIT);
+    health.status = exhausted ? "down" : "degraded";
+
+    // Give a downed provider another chance once its keys have cooled off
+    if (exhausted) {
+        setTimeout(() => {
+            if (health.status === "down") health.status = "degraded";
+        }, KEY_FAILURE_RESET_MS).unref();
+    }
+}
+
+export function markProviderHealthy(provider) {
+    provider.health.status = "healthy";
+    provider.health.failures = 0;
+    provider.health.lastSuccessAt = new Date();
+}
+
+export function isRateLimitError(error) {
+    return error?.status === 429 || /rate/i.test(error?.message || "");
+}
+
+// --- MOCK MODEL ---
+// Same invoke/stream surface as the LangChain chat models we use. Output only
+// depends on the prompt, so runs are reproducible.
+
+function lastPromptText(input) {
+    if (typeof input === "string") return input;
+    if (Array.isArray(input) && input.length > 0) {
+        const content = input[input.length - 1].content;
+        return typeof content === "string" ? content : JSON.stringify(content);
+    }
+    return "";
+}
+
+// `failAfter` (tokens) simulates a provider dying mid-stream, for failover testing.
+class MockChatModel {
+    constructor({ model, task, failAfter }) {
+        this.model = model;
+        this.task = task;
+        this.failAfter = failAfter;
+    }
+
+    respond(input) {
+        if (this.task === "lsi") return "{}";
+        const prompt = lastPromptText(input).replace(/\s+/g, " ").trim();
+        const excerpt = prompt.length > 200 ? `${prompt.slice(0, 200)}...` : prompt;
+        return `[${this.model}] This is a mock response for: ${excerpt}`;
+    }
+
+    async invoke(input, options = {}) {
+        if (options.signal?.aborted) throw new Error("Aborted");
+        return new AIMessage(this.respond(input));
+    }
+
+    async stream(input, options = {}) {
+        const words = this.respond(input).split(/(?<= )/);
+        const failAfter = this.failAfter;
+        return (async function* () {
+            for (const [index, word] of words.entries()) {
+                if (options.signal?.aborted) throw new Error("Aborted");
+                if (failAfter !== undefined && index >= failAfter) {
+                    throw new Error(`Mock provider failed after ${failAfter} tokens`);
+                }
+                yield new AIMessageChunk(word);
+            }
+        })();
+    }
+}
+
+// --- LLM FACTORY ---
+
+export function createLLM(provider, task = "chat") {
+    const apiKey = getNextApiKey(provider);
+    const model = provider.taskModels?.[task] || provider.model;
+    const temperature = provider.temperature ?? 0;
+
+    switch (provider.type) {
+        case "groq":
+            return { llm: new ChatGroq({ model, apiKey, temperature }), apiKey };
+        case "openai":
+            return { llm: new ChatOpenAI({ model, apiKey, temperature }), apiKey };
+        case "openai-compatible":
+            return {
+                llm: new ChatOpenAI({
+                    model,
+                    apiKey: apiKey || "not-needed",
+                    temperature,
+                    configuration: { baseURL: provider.baseURL },
+                }),
+                apiKey,
+            };
+        case "mock":
+            return { llm: new MockChatModel({ model, task, failAfter: provider.failAfter }), apiKey };
+        default:
+            throw new Error(`Unsupported LLM provider type: ${provider.type}`);
+    }
+}
+
+// --- SMART LLM CALLER WITH FALLBACK ---
+// Walks the providers for the task in order. Rate limits rotate to the next key
+// of the same provider, any other error moves on to the next provider.
+// `signal` aborts the call; an aborted call is not a provider failure and is
+// not retried.
+
+export async function invokeLLMWithFallback(prompt, task = "chat", { signal } = {}) {
+    const candidates = getProvidersForTask(task);
+    let lastError = null;
+
+    for (const provider of candidates) {
+        const attempts = Math.max(provider.apiKeys.length, 1);
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            const { llm, apiKey } = createLLM(provider, task);
+            try {
+                const response = await llm.invoke(prompt, { signal });
+                markProviderHealthy(provider);
+                console.log(`Used ${provider.name} (${provider.model}) for ${task}`);
+                return response;
+            } catch (error) {
+                if (signal?.aborted) throw error;
+                lastError = error;
+                markProviderFailed(provider, apiKey, error);
+                console.error(`${provider.name} attempt ${attempt + 1} failed:`, error.message);
+
+                // If rate limited, try next key immediately
+                if (isRateLimitError(error)) {
+                    continue;
+                }
+                break;
+            }
+        }
+    }
+
+    throw lastError || new Error("All LLM providers failed");
+}
+
+// --- STREAMING WITH FALLBACK ---
+// Same provider/key order as invokeLLMWithFallback. A failure before the first
+// token is retried silently. After tokens have gone out, the next provider (or
+// the same provider with its next key) is asked to continue the partial answer,
+// and `onProviderSwitch` (or `onResume`, when only the key changed) is called so
+// the client can tell where the continuation starts. Whatever was streamed before
+// an abort or a final failure is on the thrown error as `partialAnswer`.
+
+const CONTINUE_PROMPT = "Your previous answer was cut off. Continue it exactly where it stopped, without repeating anything already written and without any preamble.";
+
+export async function streamLLMWithFallback(messages, task = "chat", { onToken, onProviderSwitch, onResume, signal } = {}) {
+    const candidates = getProvidersForTask(task);
+    let fullAnswer = "";
+    let lastError = null;
+    let failedProvider = null;
+
+    for (const provider of candidates) {
+        const attempts = Math.max(provider.apiKeys.length, 1);
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            const { llm, apiKey } = createLLM(provider, task);
+
+            let input = messages;
+            if (fullAnswer) {
+                input = [...messages, new AIMessage(fullAnswer), new HumanMessage(CONTINUE_PROMPT)];
+                if (failedProvider) {
+                    const reason = lastError?.message || "Provider failed";
+                    if (failedProvider === provider) {
+                        onResume?.({ provider: provider.name, reason, resumeAt: fullAnswer.length });
+                    } else {
+                        onProviderSwitch?.({ from: failedProvider.name, to: provider.name, reason, resumeAt: fullAnswer.length });
+                    }
+                    failedProvider = null;
+                }
+            }
+
+            try {
+                const stream = await llm.stream(input, { signal });
+                for await (const chunk of stream) {
+                    if (signal?.aborted) break;
+                    const token = chunk.content;
+                    if (!token) continue;
+                    fullAnswer += token;
+                    onToken?.(token);
+                }
+                if (signal?.aborted) throw new Error("Aborted");
+                markProviderHealthy(provider);
+                console.log(`Streamed ${task} from ${provider.name} (${provider.model})`);
+                return { answer: fullAnswer, provider: provider.name };
+            } catch (error) {
+                if (signal?.aborted) {
+                    error.partialAnswer = fullAnswer;
+                    throw error;
+                }
+                lastError = error;
+                markProviderFailed(provider, apiKey, error);
+                console.error(`${provider.name} stream attempt ${attempt + 1} failed:`, error.message);
+                if (fullAnswer) failedProvider = provider;
+
+                // If rate limited, try next key immediately
+                if (isRateLimitError(error)) {
+                    continue;
+                }
+                break;
+            }
+        }
+    }
+
+    const error = lastError || new Error("All LLM providers failed");
+    error.partialAnswer = fullAnswer;
+    throw error;
+}
@@ -0,0 +1,182 @@
+import mongoose from "mongoose";
+import axios from "axios";
+import PdfCache from "../models/pdfcache.model.js";
+import Case from "../models/case.model.js";
+import { extractPdfText } from "./documentText.js";
+
+// --- JUDGMENT PDF TEXT CACHE ---
+// In-process LRU -> Mongo (PdfCache, TTL index) -> download and parse.
+// Failed downloads are remembered briefly in the LRU so a dead link does not
+// cost a 12s timeout on every chat turn.
+
+const TTL_MS = Number(process.env.PDF_CACHE_TTL_DAYS || 30) * 24 * 60 * 60 * 1000;
+const FAILURE_TTL_MS = 5 * 60 * 1000;
+const LRU_SIZE = Number(process.env.PDF_CACHE_LRU_SIZE || 50);
+const MAX_STORED_CHARS = 200000; // Callers slice further; keeps Mongo docs small
+
+class LRUCache {
+    constructor(maxSize) {
+        this.maxSize = maxSize;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+        if (entry.expiresAt < Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+        // Re-insert to mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    set(key, value, ttl) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+        if (this.entries.size > this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+const memoryCache = new LRUCache(LRU_SIZE);
+
+function mongoReady() {
+    return mongoose.connection.readyState === 1;
+}
+
+async function downloadPdfText(pdfUrl) {
+    console.log(`📄 Fetching PDF: ${pdfUrl}`);
+    const response = await axios.get(pdfUrl, {
+        responseType: 'arraybuffer',
+        timeout: 12000 // 12 second timeout
+    });
+
+    const pdfData = await extractPdfText(Buffer.from(response.data));
+    const text = pdfData.text?.replace(/\s+/g, ' ').trim();
+    if (text && text.length > 100) {
+        console.log(`✅ Extracted ${text.length} chars from PDF`);
+        return text.slice(0, MAX_STORED_CHARS);
+    }
+    return null;
+}
+
+// Full cached text for a PDF URL (or null), downloading on a miss.
+// `refresh` skips both cache layers, used when warming.
+async function loadPdfText(pdfUrl, { caseId, refresh = false } = {}) {
+    if (!refresh) {
+        const cached = memoryCache.get(pdfUrl);
+        if (cached) return cached.value;
+
+        if (mongoReady()) {
+            // A failed lookup is treated as a miss, like a failed write below
+            const stored = await PdfCache.findOne({ url: pdfUrl, expires_at: { $gt: new Date() } }).lean()
+                .catch(error => {
+                    console.error(`PDF cache read failed: ${error.message}`);
+                    return null;
+                });
+            if (stored) {
+                memoryCache.set(pdfUrl, stored.text, stored.expires_at - Date.now());
+                return stored.text;
+            }
+        }
+    }
+
+    let text = null;
+    try {
+        text = await downloadPdfText(pdfUrl);
+    } catch (error) {
+        console.error(`❌ PDF fetch failed: ${error.message}`);
+    }
+
+    if (!text) {
+        memoryCache.set(pdfUrl, null, FAILURE_TTL_MS);
+        return null;
+    }
+
+    memoryCache.set(pdfUrl, text, TTL_MS);
+    if (mongoReady()) {
+        await PdfCache.findOneAndUpdate(
+            { url: pdfUrl },
+            {
+                url: pdfUrl,
+                ...(caseId && { case_id: caseId }),
+                text,
+                chars: text.length,
+                fetched_at: new Date(),
+                expires_at: new Date(Date.now() + TTL_MS),
+            },
+            { upsert: true }
+        ).catch(error => console.error(`PDF cache write failed: ${error.message}`));
+    }
+    return text;
+}
+
+// --- PDF TEXT EXTRACTION (for richer context) ---
+export async function fetchPdfText(pdfUrl, maxChars = 10000, { caseId } = {}) {
+    if (!pdfUrl || pdfUrl === "#") return null;
+    const text = await loadPdfText(pdfUrl, { caseId });
+    return text ? text.slice(0, maxChars) : null;
+}
+
+// --- WARM / INVALIDATE ---
+// Targets are case IDs, resolved to the case's PDF in our R2 bucket; callers
+// never choose the URL that gets fetched.
+
+async function resolveCasePdf(caseId) {
+    const caseData = await Case.findOne({ Case_id: caseId }).lean();
+    if (!caseData?.PDF_Path || !process.env.R2_PUBLIC_URL) return null;
+    return `${process.env.R2_PUBLIC_URL}/${caseData.PDF_Path}`;
+}
+
+export async function warmPdfCache(caseIds) {
+    const results = [];
+    for (const caseId of caseIds) {
+        const url = await resolveCasePdf(caseId);
+        if (!url) {
+            results.push({ caseId, success: false, message: "Case or PDF not found" });
+            continue;
+        }
+        const text = await loadPdfText(url, { caseId, refresh: true });
+        results.push({ caseId, success: Boolean(text), chars: text ? text.length : 0 });
+    }
+    return results;
+}
+
+export async function invalidatePdfCache({ caseIds = [], all = false } = {}) {
+    if (all) {
+        memoryCache.clear();
+        const { deletedCount } = await PdfCache.deleteMany({});
+        return deletedCount;
+    }
+
+    // A case's PDF may have been cached by URL only (chat hits without case_id)
+    const conditions = [];
+    for (const caseId of caseIds) {
+        conditions.push({ case_id: caseId });
+        const url = await resolveCasePdf(caseId);
+        if (url) conditions.push({ url });
+    }
+    if (conditions.length === 0) return 0;
+
+    const entries = await PdfCache.find({ $or: conditions }, { url: 1 }).lean();
+    for (const condition of conditions) {
+        if (condition.url) memoryCache.delete(condition.url);
+    }
+    for (const entry of entries) {
+        memoryCache.delete(entry.url);
+    }
+    const { deletedCount } = await PdfCache.deleteMany({ $or: conditions });
+    return deletedCount;
+}
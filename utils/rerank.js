@@ -0,0 +1,106 @@
+import { invokeLLMWithFallback } from "./llmProviders.js";
+
+// RERANKER: "llm" (LLM-as-judge), "overlap" (offline term coverage) or "none"
+// (keep retrieval order). Other scorers can be added with registerScorer.
+const DEFAULT_SCORER = process.env.RERANKER || "llm";
+
+function docText(doc) {
+    return doc.pageContent || doc.metadata?.text_snippet || "";
+}
+
+function terms(text) {
+    return (text.toLowerCase().match(/[a-z0-9]+/g) || []).filter(term => term.length > 2);
+}
+
+// --- SCORERS ---
+// A scorer takes the query and the candidate documents and resolves to one
+// relevance score in [0, 1] per document, in the same order.
+
+// Keeps retrieval order: 1 for the first candidate, falling off linearly
+async function rankOrderScorer(query, docs) {
+    return docs.map((_, index) => 1 - index / Math.max(docs.length, 1));
+}
+
+// Share of query terms found in the case title (weighted x2) and text
+async function overlapScorer(query, docs) {
+    const queryTerms = [...new Set(terms(query))];
+    if (queryTerms.length === 0) return docs.map(() => 0);
+
+    return docs.map(doc => {
+        const titleTerms = new Set(terms(doc.metadata?.case_title || ""));
+        const bodyTerms = new Set(terms(docText(doc)));
+        const hits = queryTerms.reduce((sum, term) => {
+            if (titleTerms.has(term)) return sum + 2;
+            if (bodyTerms.has(term)) return sum + 1;
+            return sum;
+        }, 0);
+        return Math.min(hits / queryTerms.length, 1);
+    });
+}
+
+// One batched call: the model grades every candidate 0-10 for the query
+async function llmJudgeScorer(query, docs) {
+    const candidates = docs.map((doc, index) => {
+        const m = doc.metadata || {};
+        const excerpt = docText(doc).replace(/\s+/g, " ").slice(0, 600);
+        return `[${index}] ${m.case_title || "Unknown Case"} (${m.court || "Unknown court"})\n${excerpt}`;
+    }).join("\n\n");
+
+    const judgePrompt = `You are ranking Indian court judgments for a legal research question.
+Rate how useful each candidate is for answering the question, from 0 (irrelevant) to 10 (directly on point).
+
+QUESTION: ${query}
+
+CANDIDATES:
+${candidates}
+
+Return valid JSON only, no other text, with one entry per candidate:
+[{"index": 0, "score": 7}, {"index": 1, "score": 2}]`;
+
+    const response = await invokeLLMWithFallback(judgePrompt, "chat");
+    const jsonStr = response.content.match(/\[[\s\S]*\]/)?.[0];
+    if (!jsonStr) throw new Error("Reranker returned no JSON array");
+
+    const scores = docs.map(() => 0);
+    for (const { index, score } of JSON.parse(jsonStr)) {
+        if (Number.isInteger(index) && index >= 0 && index < docs.length) {
+            scores[index] = Math.max(0, Math.min(Number(score) || 0, 10)) / 10;
+        }
+    }
+    return scores;
+}
+
+const scorers = new Map([
+    ["none", rankOrderScorer],
+    ["overlap", overlapScorer],
+    ["llm", llmJudgeScorer],
+]);
+
+export function registerScorer(name, scorer) {
+    scorers.set(name, scorer);
+}
+
+// --- RERANK ---
+// candidates: [doc, score] pairs as returned by retrieval. Resolves to the
+// best `topN` as { doc, score, rerankScore }, highest rerankScore first. If
+// the scorer fails, falls back to retrieval order so chat keeps working.
+
+export async function rerank(query, candidates, { topN = 4, scorer = DEFAULT_SCORER } = {}) {
+    if (candidates.length === 0) return [];
+
+    const docs = candidates.map(([doc]) => doc);
+    let rerankScores;
+    try {
+        const score = scorers.get(scorer);
+        if (!score) throw new Error(`Unknown reranker: ${scorer}`);
+        rerankScores = await score(query, docs);
+    } catch (error) {
+        console.error(`Rerank (${scorer}) failed, keeping retrieval order: ${error.message}`);
+        rerankScores = await rankOrderScorer(query, docs);
+    }
+
+    return candidates
+        .map(([doc, score], index) => ({ doc, score, rerankScore: rerankScores[index] }))
+        .sort((a, b) => b.rerankScore - a.rerankScore)
+        .slice(0, topN);
+}
@@ -0,0 +1,208 @@
+import mongoose from "mongoose";
+import { Document } from "@langchain/core/documents";
+import Case from "../models/case.model.js";
+import { matchesSearchFilters, toCaseQuery, toVectorFilter } from "./searchFilters.js";
+import { getCitedByCounts } from "./citationGraph.js";
+
+const RRF_K = 60;
+const CITATION_BOOST = 0.001;
+
+// --- EXACT-MATCH PATTERNS ---
+// Reporter citations ("AIR 1973 SC 1461", "(2017) 10 SCC 1") and section
+// references are searched as quoted phrases so they only hit the exact string.
+const CITATION_PATTERNS = [
+    /\bAIR\s+\d{4}\s+[A-Z][A-Za-z]*\s+\d+\b/gi,
+    /\(\d{4}\)\s*\d+\s+SCC\s+\d+\b/gi,
+    /\b\d{4}\s+INSC\s+\d+\b/gi,
+    /\b\d{4}\s+SCC\s+OnLine\s+[A-Z][A-Za-z]*\s+\d+\b/gi,
+    /\[\d{4}\]\s*\d+\s+SCR\s+\d+\b/gi,
+    /\b(?:section|sec\.?|s\.)\s*\d+[A-Z]?\b/gi,
+    /\barticle\s+\d+[A-Z]?\b/gi,
+];
+
+const STOPWORDS = new Set([
+    "the", "and", "for", "with", "what", "which", "case", "cases", "court", "under",
+    "about", "from", "that", "this", "there", "state", "india", "union", "versus",
+]);
+
+function extractExactPhrases(query) {
+    const phrases = CITATION_PATTERNS.flatMap(pattern => query.match(pattern) || []);
+    return [...new Set(phrases.map(p => p.replace(/\s+/g, " ").trim()))];
+}
+
+function significantTerms(text) {
+    return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+        .filter(term => term.length >= 4 && !STOPWORDS.has(term));
+}
+
+function caseToDocument(caseData, { rank, textScore, exact, titleMatch }) {
+    const r2PublicUrl = process.env.R2_PUBLIC_URL || "";
+    const year = caseData.Citations?.match(/\b(19|20)\d{2}\b/)?.[0];
+    const snippet = [...(caseData.Issues || []), ...(caseData.Facts || []), ...(caseData.Conclusions || [])]
+        .join(" ")
+        .slice(0, 2000);
+
+    return new Document({
+        pageContent: snippet,
+        metadata: {
+            case_id: caseData.Case_id,
+            case_title: caseData.Case_Title,
+            court: caseData.Court_Name,
+            judge: caseData.Judgment_Author,
+            bench: caseData.Bench,
+            year: year ? Number(year) : undefined,
+            r2_url: caseData.PDF_Path ? `${r2PublicUrl}/${caseData.PDF_Path}` : undefined,
+            text_snippet: snippet,
+            lexical_rank: rank,
+            lexical_score: textScore,
+            exact_match: exact,
+            title_match: titleMatch,
+        },
+    });
+}
+
+// --- LEXICAL SEARCH ---
+// Mongo text index over Case (see case.model.js). Exact citation/section
+// phrases are searched first, then the free-text query.
+
+export async function lexicalSearch(query, k = 10, filters = null) {
+    if (mongoose.connection.readyState !== 1) return [];
+
+    try {
+        const projection = { score: { $meta: "textScore" } };
+        const sort = { score: { $meta: "textScore" } };
+        const scope = toCaseQuery(filters);
+
+        const phrases = extractExactPhrases(query);
+        const exactHits = phrases.length > 0
+            ? await Case.find({ $text: { $search: phrases.map(p => `"${p}"`).join(" ") }, ...scope }, projection)
+                .sort(sort).limit(k).lean()
+            : [];
+        const textHits = await Case.find({ $text: { $search: query }, ...scope }, projection)
+            .sort(sort).limit(k).lean();
+
+        const queryTerms = new Set(significantTerms(query));
+        const exactIds = new Set(exactHits.map(c => c.Case_id));
+        const merged = [...new Map([...exactHits, ...textHits].map(c => [c.Case_id, c])).values()];
+
+        return merged.slice(0, k).map((caseData, index) => {
+            const titleTerms = new Set(significantTerms(caseData.Case_Title || ""));
+            const titleMatch = [...queryTerms].filter(term => titleTerms.has(term)).length >= 2;
+            return caseToDocument(caseData, {
+                rank: index + 1,
+                textScore: caseData.score,
+                exact: exactIds.has(caseData.Case_id),
+                titleMatch,
+            });
+        });
+    } catch (error) {
+        console.error(`Lexical search failed: ${error.message}`);
+        return [];
+    }
+}
+
+// --- RECIPROCAL RANK FUSION ---
+
+function normalizedTitle(doc) {
+    const title = String(doc.metadata?.case_title || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+    return title === "not found" ? "" : title;
+}
+
+// Results are keyed on case_id. Vectors indexed before case_id was stored
+// only have the title; they join the hit with that title when exactly one
+// case among `docs` has it (distinct judgments often share a cause title).
+function makeDocKey(docs) {
+    const idsByTitle = new Map();
+    for (const doc of docs) {
+        const caseId = doc.metadata?.case_id;
+        const title = normalizedTitle(doc);
+        if (!caseId || !title) continue;
+        if (!idsByTitle.has(title)) idsByTitle.set(title, new Set());
+        idsByTitle.get(title).add(String(caseId));
+    }
+    return (doc) => {
+        const caseId = doc.metadata?.case_id;
+        if (caseId) return `id:${caseId}`;
+        const title = normalizedTitle(doc);
+        const ids = idsByTitle.get(title);
+        if (ids?.size === 1) return `id:${[...ids][0]}`;
+        if (title) return `title:${title}`;
+        return doc.pageContent.slice(0, 100).toLowerCase();
+    };
+}
+
+export function reciprocalRankFusion(rankedLists, k = RRF_K, docKey = makeDocKey(rankedLists.flat())) {
+    const fused = new Map();
+    for (const list of rankedLists) {
+        list.forEach((doc, index) => {
+            const key = docKey(doc);
+            const entry = fused.get(key) || { doc, rrf: 0 };
+            entry.rrf += 1 / (k + index + 1);
+            // Prefer the vector hit's document (it has the chunk text), keep lexical flags
+            if (entry.doc !== doc) {
+                entry.doc.metadata = { ...doc.metadata, ...entry.doc.metadata };
+            }
+            fused.set(key, entry);
+        });
+    }
+    return [...fused.values()].sort((a, b) => b.rrf - a.rrf);
+}
+
+// Frequently cited judgments get a small lift: log(1 + citations) scaled so
+// that ~100 citations are worth about a quarter of a top RRF rank
+async function boostByCitations(fused) {
+    const counts = await getCitedByCounts(fused.map(({ doc }) => doc.metadata?.case_id).filter(Boolean));
+    if (counts.size === 0) return fused;
+    return fused
+        .map(entry => {
+            const citedBy = counts.get(entry.doc.metadata?.case_id) || 0;
+            entry.doc.metadata = { ...entry.doc.metadata, cited_by_count: citedBy };
+            return { ...entry, rrf: entry.rrf + CITATION_BOOST * Math.log1p(citedBy) };
+        })
+        .sort((a, b) => b.rrf - a.rrf);
+}
+
+// --- HYBRID SEARCH ---
+// Returns [doc, score] pairs like similaritySearchWithScore, ordered by RRF.
+// `score` is the vector cosine score, or null for lexical-only hits. The raw
+// query goes to the text index (citations keep their punctuation), the vector
+// side gets it with punctuation stripped. `filters` (see searchFilters.js)
+// scope both sides and are re-checked on the fused results. An aborted
+// `signal` stops the search between steps.
+
+export async function hybridSearch(vectorStore, query, k = 4, filters = null, { signal } = {}) {
+    signal?.throwIfAborted();
+    const cleanQuery = query.replace(/[^\w\s]/gi, '');
+    const [vectorResults, lexicalResults] = await Promise.all([
+        vectorStore.similaritySearchWithScore(cleanQuery, k, toVectorFilter(filters)),
+        lexicalSearch(query, k * 2, filters),
+    ]);
+    // Neither store takes a signal; stop before the Mongo round trip for citation counts
+    signal?.throwIfAborted();
+
+    const vectorDocs = vectorResults.map(([doc]) => doc);
+    const docKey = makeDocKey([...vectorDocs, ...lexicalResults]);
+
+    // Several chunks of one case can come back; keep the best cosine score
+    const vectorScores = new Map();
+    for (const [doc, score] of vectorResults) {
+        const key = docKey(doc);
+        if (!vectorScores.has(key) || score > vectorScores.get(key)) vectorScores.set(key, score);
+    }
+    const fused = await boostByCitations(reciprocalRankFusion([vectorDocs, lexicalResults], RRF_K, docKey));
+
+    return fused
+        .filter(({ doc }) => matchesSearchFilters(doc.metadata, filters))
+        .slice(0, k)
+        .map(({ doc, rrf }) => {
+            doc.metadata = { ...doc.metadata, rrf_score: rrf };
+            return [doc, vectorScores.get(docKey(doc)) ?? null];
+        });
+}
+
+// Vector hits must clear the cosine threshold. Lexical-only hits have no cosine
+// score and are kept when they matched a citation/section exactly or the title.
+export function passesThreshold([doc, score], threshold = 0.6) {
+    if (score !== null && score >= threshold) return true;
+    return Boolean(doc.metadata.exact_match || doc.metadata.title_match);
+}
@@ -0,0 +1,113 @@
+// --- SEARCH FILTERS ---
+// Shared scope for chat and summarize retrieval:
+//   { courts: ["Supreme Court of India"], yearFrom: 1990, yearTo: 2010, bench: "Chandrachud", judge: "Bhagwati" }
+// Court and year are pushed down to the vector store as a metadata filter;
+// bench and judge names are spelled too inconsistently for exact matching, so
+// they (and everything else) are re-checked case-insensitively on the results.
+
+const MIN_YEAR = 1800;
+const MAX_YEAR = 2100;
+
+function parseYear(value, field) {
+    if (value === undefined || value === null || value === "") return undefined;
+    const year = Number(value);
+    if (!Number.isInteger(year) || year < MIN_YEAR || year > MAX_YEAR) {
+        throw new Error(`${field} must be a year between ${MIN_YEAR} and ${MAX_YEAR}`);
+    }
+    return year;
+}
+
+function parseName(value, field) {
+    if (value === undefined || value === null || value === "") return undefined;
+    if (typeof value !== "string" || value.length > 100) {
+        throw new Error(`${field} must be a string of at most 100 characters`);
+    }
+    return value.trim();
+}
+
+// Throws with a user-facing message on invalid input; null means "no filters"
+export function parseSearchFilters(raw) {
+    if (raw === undefined || raw === null) return null;
+    if (typeof raw !== "object" || Array.isArray(raw)) {
+        throw new Error("filters must be an object");
+    }
+
+    let courts = raw.courts ?? raw.court ?? [];
+    if (typeof courts === "string") courts = [courts];
+    if (!Array.isArray(courts) || courts.some(c => typeof c !== "string")) {
+        throw new Error("filters.courts must be a list of court names");
+    }
+
+    const filters = {
+        courts: courts.map(c => c.trim()).filter(Boolean),
+        yearFrom: parseYear(raw.yearFrom, "filters.yearFrom"),
+        yearTo: parseYear(raw.yearTo, "filters.yearTo"),
+        bench: parseName(raw.bench, "filters.bench"),
+        judge: parseName(raw.judge, "filters.judge"),
+    };
+
+    if (filters.yearFrom && filters.yearTo && filters.yearFrom > filters.yearTo) {
+        throw new Error("filters.yearFrom must not be after filters.yearTo");
+    }
+
+    return hasSearchFilters(filters) ? filters : null;
+}
+
+export function hasSearchFilters(filters) {
+    if (!filters) return false;
+    return Boolean(filters.courts?.length || filters.yearFrom || filters.yearTo || filters.bench || filters.judge);
+}
+
+// Pinecone-style metadata filter (also understood by LocalVectorStore)
+export function toVectorFilter(filters) {
+    if (!hasSearchFilters(filters)) return undefined;
+
+    const filter = {};
+    if (filters.courts?.length) filter.court = { $in: filters.courts };
+    if (filters.yearFrom || filters.yearTo) {
+        filter.year = {};
+        if (filters.yearFrom) filter.year.$gte = filters.yearFrom;
+        if (filters.yearTo) filter.year.$lte = filters.yearTo;
+    }
+    return Object.keys(filter).length > 0 ? filter : undefined;
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Conditions on the Case model. Case has no year field, so years are only
+// checked on the results (see matchesSearchFilters).
+export function toCaseQuery(filters) {
+    if (!hasSearchFilters(filters)) return {};
+
+    const query = {};
+    if (filters.courts?.length) {
+        query.Court_Name = { $in: filters.courts.map(c => new RegExp(`^${escapeRegex(c)}$`, "i")) };
+    }
+    if (filters.judge) query.Judgment_Author = new RegExp(escapeRegex(filters.judge), "i");
+    if (filters.bench) query.Bench = new RegExp(escapeRegex(filters.bench), "i");
+    return query;
+}
+
+function includesName(value, name) {
+    return typeof value === "string" && value.toLowerCase().includes(name.toLowerCase());
+}
+
+// Final check on retrieved document metadata
+export function matchesSearchFilters(metadata, filters) {
+    if (!hasSearchFilters(filters)) return true;
+    const m = metadata || {};
+
+    if (filters.courts?.length &&
+        !filters.courts.some(c => c.toLowerCase() === String(m.court || "").toLowerCase())) {
+        return false;
+    }
+    if (filters.yearFrom && !(m.year >= filters.yearFrom)) return false;
+    if (filters.yearTo && !(m.year <= filters.yearTo)) return false;
+    if (filters.judge && !includesName(m.judge, filters.judge)) return false;
+    if (filters.bench && !includesName(m.bench, filters.bench) && !includesName(m.judge, filters.bench)) {
+        return false;
+    }
+    return true;
+}
@@ -1,192 +1,82 @@
 import dotenv from "dotenv";
 dotenv.config();
 
-import { ChatGroq } from "@langchain/groq";
-import { ChatOpenAI } from "@langchain/openai";
-import { HuggingFaceInferenceEmbeddings } from "@langchain/community/embeddings/hf";
-import { PineconeStore } from "@langchain/pinecone";
-import { Pinecone } from "@pinecone-database/pinecone";
 import { HumanMessage, SystemMessage } from "@langchain/core/messages";
-import axios from "axios";
-import { createRequire } from "module";
-const require = createRequire(import.meta.url);
-const pdf = require("pdf-parse");
-
-const PINECONE_API_KEY = process.env.PINECONE_API_KEY;
-const PINECONE_INDEX_NAME = process.env.PINECONE_INDEX_NAME;
-const HF_TOKEN = process.env.HF_TOKEN;
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-
-// --- GROQ API KEY ROTATION ---
-const GROQ_API_KEYS = [
-    process.env.GROQ_API_KEY,
-    process.env.GROQ_API_KEY_2,
-    process.env.GROQ_API_KEY_3,
-].filter(Boolean); // Remove undefined keys
-
-let currentGroqKeyIndex = 0;
-let keyFailureCounts = new Map(); // Track failures per key
-
-function getNextGroqApiKey() {
-    // Find a working key (skip keys that have failed recently)
-    for (let i = 0; i < GROQ_API_KEYS.length; i++) {
-        const index = (currentGroqKeyIndex + i) % GROQ_API_KEYS.length;
-        const key = GROQ_API_KEYS[index];
-        const failures = keyFailureCounts.get(key) || 0;
-        
-        // Reset failure count after 1 minute
-        if (failures < 3) {
-            currentGroqKeyIndex = (index + 1) % GROQ_API_KEYS.length;
-            console.log(`Using Groq API key #${index + 1}`);
-            return key;
-        }
-    }
-    
-    // If all keys have failed, reset and try the first one
-    keyFailureCounts.clear();
-    currentGroqKeyIndex = 0;
-    console.log("All Groq keys exhausted, resetting...");
-    return GROQ_API_KEYS[0];
-}
-
-function markGroqKeyFailed(apiKey) {
-    const failures = keyFailureCounts.get(apiKey) || 0;
-    keyFailureCounts.set(apiKey, failures + 1);
-    console.log(`Groq key marked as failed (${failures + 1} failures)`);
-    
-    // Clear failure counts after 60 seconds
-    setTimeout(() => {
-        keyFailureCounts.delete(apiKey);
-    }, 60000);
-}
-
-// --- LLM FACTORY FUNCTIONS ---
-
-function createGroqLLM(model = "llama-3.3-70b-versatile") {
-    const apiKey = getNextGroqApiKey();
-    return {
-        llm: new ChatGroq({ 
-            model, 
-            apiKey,
-            temperature: 0 
-        }),
-        apiKey
-    };
-}
-
-function createOpenAILLM() {
-    // GPT-4o-mini - good for LSI extraction (cheaper, 512k daily tokens)
-    return new ChatOpenAI({
-        model: "gpt-4o-mini",
-        apiKey: OPENAI_API_KEY,
-        temperature: 0
-    });
-}
-
-// --- SMART LLM CALLER WITH FALLBACK ---
-
-async function invokeLLMWithFallback(prompt, preferOpenAI = false) {
-    // Strategy: Use OpenAI for LSI (cheaper), Groq for main tasks
-    
-    if (preferOpenAI && OPENAI_API_KEY) {
-        try {
-            const openaiLLM = createOpenAILLM();
-            const response = await openaiLLM.invoke(prompt);
-            console.log("Used OpenAI GPT-4o-mini");
-            return response;
-        } catch (error) {
-            console.error("OpenAI failed, falling back to Groq:", error.message);
-        }
-    }
-    
-    // Try Groq with rotation
-    let lastError = null;
-    for (let attempt = 0; attempt < GROQ_API_KEYS.length; attempt++) {
-        const { llm, apiKey } = createGroqLLM();
-        try {
-            const response = await llm.invoke(prompt);
-            return response;
-        } catch (error) {
-            lastError = error;
-            markGroqKeyFailed(apiKey);
-            console.error(`Groq attempt ${attempt + 1} failed:`, error.message);
-            
-            // If rate limited, try next key immediately
-            if (error.message?.includes('rate') || error.status === 429) {
-                continue;
-            }
-            break;
-        }
-    }
-    
-    // Final fallback to OpenAI if Groq completely fails
-    if (OPENAI_API_KEY && !preferOpenAI) {
-        try {
-            console.log("All Groq keys failed, using OpenAI fallback");
-            const openaiLLM = createOpenAILLM();
-            return await openaiLLM.invoke(prompt);
-        } catch (error) {
-            console.error("OpenAI fallback also failed:", error.message);
-        }
-    }
-    
-    throw lastError || new Error("All LLM providers failed");
+import { invokeLLMWithFallback, streamLLMWithFallback } from "./llmProviders.js";
+import { getVectorStore } from "./vectorStore.js";
+import { hybridSearch, passesThreshold } from "./retrieval.js";
+import { rerank } from "./rerank.js";
+import { matchesSearchFilters, toVectorFilter } from "./searchFilters.js";
+import { verifyCitations } from "./citations.js";
+import { fetchPdfText } from "./pdfCache.js";
+import { chunkLegalDocument } from "./chunking.js";
+import { generateCaseBrief } from "./caseBrief.js";
+import { normalizeStatutes } from "./statutes.js";
+import { findMappableReferences, withCounterparts } from "./statuteMapping.js";
+import { extractLegalReferences, mergeStatutes } from "./legalExtractor.js";
+
+const RERANK_CANDIDATES = 20; // Retrieved before reranking
+const RERANK_TOP_N = 4; // Kept for the prompt and sources
+const FULL_TEXT_MIN_RERANK_SCORE = 0.5; // Below this, a top hit only gets its snippet
+
+const SINGLE_PASS_CHARS = 15000; // Documents up to this size are summarized in one call
+const SUMMARY_CHUNK_CHARS = 12000; // Map step chunk size
+const MAX_SUMMARY_INPUT_CHARS = 600000; // ~100k words, hard cap on cost per document
+const LSI_CHUNK_CHARS = 24000; // ~4000 words per LSI call
+const MAX_LSI_CHUNKS = 8;
+const MAX_DIGEST_CHARS = 30000; // Cap on partial summaries passed to the case brief
+
+// 1. INITIALIZE (vector store is cached in vectorStore.js)
+async function getResources() {
+    const vectorStore = getVectorStore();
+    return { vectorStore };
 }
 
-// Global cache
-let vectorStoreInstance = null;
+// --- QUERY CONDENSATION ---
+// Follow-ups like "what did the court say about damages there?" mean nothing
+// to the vector store on their own. Fold the recent history into a standalone
+// search query; on any failure just search with the raw input.
+async function condenseQuery(userInput, chatHistory, signal) {
+    if (!chatHistory || chatHistory.length === 0) return userInput;
 
-// 1. INITIALIZE (Only once)
-async function getResources() {
-    if (vectorStoreInstance) {
-        const { llm } = createGroqLLM();
-        return { vectorStore: vectorStoreInstance, llm };
-    }
+    const recentHistory = chatHistory.slice(-6).map(m => {
+        const speaker = m.role === 'user' ? "User" : "Assistant";
+        const content = m.content.length > 500 ? `${m.content.slice(0, 500)}...` : m.content;
+        return `${speaker}: ${content}`;
+    }).join("\n");
 
-    const pinecone = new Pinecone({ apiKey: PINECONE_API_KEY });
-    const pineconeIndex = pinecone.index(PINECONE_INDEX_NAME);
+    const condensePrompt = `Given the conversation below and a follow-up question, rewrite the follow-up as a standalone search query for a database of Indian court judgments.
+Resolve pronouns and references ("there", "that case", "the appellant") using the conversation. Keep case names, citations, section numbers and acts exactly as written.
+Return only the rewritten query on a single line, no explanation or quotes.
 
-    const embeddings = new HuggingFaceInferenceEmbeddings({
-        apiKey: HF_TOKEN,
-        model: "sentence-transformers/all-mpnet-base-v2",
-    });
+CONVERSATION:
+${recentHistory}
 
-    vectorStoreInstance = new PineconeStore(embeddings, { pineconeIndex });
-    const { llm } = createGroqLLM();
+FOLLOW-UP QUESTION: ${userInput}
 
-    console.log("Resources initialized.");
-    return { vectorStore: vectorStoreInstance, llm };
-}
+STANDALONE QUERY:`;
 
-// --- PDF TEXT EXTRACTION (for richer context) ---
-async function fetchPdfText(pdfUrl, maxChars = 10000) {
     try {
-        if (!pdfUrl || pdfUrl === "#") return null;
-        
-        console.log(`📄 Fetching PDF: ${pdfUrl}`);
-        const response = await axios.get(pdfUrl, { 
-            responseType: 'arraybuffer',
-            timeout: 12000 // 12 second timeout
-        });
-        
-        const pdfData = await pdf(Buffer.from(response.data));
-        const text = pdfData.text?.replace(/\s+/g, ' ').trim();
-        
-        if (text && text.length > 100) {
-            console.log(`✅ Extracted ${text.length} chars from PDF`);
-            return text.slice(0, maxChars);
-        }
-        return null;
+        const response = await invokeLLMWithFallback(condensePrompt, "chat", { signal });
+        const rewritten = response.content.split("\n")[0].replace(/^["']|["']$/g, "").trim();
+        return rewritten || userInput;
     } catch (error) {
-        console.error(`❌ PDF fetch failed: ${error.message}`);
-        return null;
+        console.error(`Query condensation failed, using raw input: ${error.message}`);
+        return userInput;
     }
 }
 
 // 2. MAIN FUNCTION
-export async function streamLegalAssistantResponse(userInput, chatHistory, res) {
+// options.filters: retrieval scope (court/year/bench/judge), see searchFilters.js
+// options.signal: aborts retrieval and generation (client gone or stop
+// requested). The answer streamed so far is then returned with
+// `interrupted: true`; on errors it is on the thrown error as `partialAnswer`.
+export async function streamLegalAssistantResponse(userInput, chatHistory, res, { filters = null, signal } = {}) {
+    let searchQuery = null;
+    let uniqueSources = [];
+    let partialAnswer = "";
     try {
-        const { vectorStore, llm } = await getResources();
+        const { vectorStore } = await getResources();
         
         // --- STEP A: THE "HI" FILTER (Regex instead of AI) ---
         // If it's just a greeting, don't even touch the database.
@@ -198,75 +88,81 @@ export async function streamLegalAssistantResponse(userInput, chatHistory, res)
             res.write(`event: sources\ndata: []\n\n`); // 0 Sources guaranteed
             res.write(`event: chunk\ndata: "Hello! I am your legal assistant. How can I help you with Indian Commercial Law today?"\n\n`);
             res.write(`event: end\ndata: {}\n\n`);
-            return { answer: "Greeting", sources: [] };
+            return { answer: "Greeting", sources: [], citations: [], statuteMap: [], interrupted: false };
         }
 
-        // --- STEP B: MANUAL DATABASE SEARCH ---
-        // We do this manually to see the scores.
-        console.log(`Searching DB for: "${userInput}"`);
-        const cleanQuery = userInput.replace(/[^\w\s]/gi, '');
-        const results = await vectorStore.similaritySearchWithScore(cleanQuery, 4); // Top 4 only
+        // --- STEP B: HYBRID DATABASE SEARCH ---
+        // Vector search + Case text index, merged with reciprocal rank fusion,
+        // using a standalone query built from the latest turn and recent history.
+        searchQuery = await condenseQuery(userInput, chatHistory, signal);
+        signal?.throwIfAborted();
+        res.write(`event: query\ndata: ${JSON.stringify({ original: userInput, rewritten: searchQuery })}\n\n`);
+
+        console.log(`Searching DB for: "${searchQuery}"`);
+        const results = await hybridSearch(vectorStore, searchQuery, RERANK_CANDIDATES, filters, { signal }); // Over-fetch for the reranker
 
         // --- STEP C: THE STRICT FILTER ---
-        // If score < 0.60, it's garbage. Throw it away.
-        
-       const validDocs = results.filter(([doc, score]) => {
-            //using cosine similarity: higher is better
-            if (score >= 0.6) return true;
+        // If cosine score < 0.60, it's garbage. Throw it away (unless the
+        // text index matched a citation or the case title exactly).
+        const validDocs = results.filter((result) => passesThreshold(result, 0.6));
 
-            return false;
-        });
+        // --- STEP C2: RERANK ---
+        // Only the reranked top-N reach the prompt and the sources list.
+        const rankedDocs = await rerank(searchQuery, validDocs, { topN: RERANK_TOP_N });
+        signal?.throwIfAborted();
 
         // Format sources for the Frontend
-        let uniqueSources = [];
         let contextText = "";
 
-        if (validDocs.length > 0) {
+        if (rankedDocs.length > 0) {
             // We have valid cases
-            // Fetch full PDF text for top 2 results for richer context
+            // One entry per case, so marker [n] in the prompt is uniqueSources[n - 1]
+            const seenTitles = new Set();
+            const caseDocs = rankedDocs.filter(({ doc }) => {
+                const caseTitle = doc.metadata.case_title || "Unknown Case";
+                if (seenTitles.has(caseTitle)) return false;
+                seenTitles.add(caseTitle);
+                return true;
+            });
+
+            // Fetch full PDF text for the top 2, but only if the reranker rates them relevant
             const enrichedDocs = await Promise.all(
-                validDocs.slice(0, 2).map(async ([doc, score]) => {
+                caseDocs.map(async ({ doc, score, rerankScore }, index) => {
                     const m = doc.metadata;
-                    const pdfUrl = m.source_url || m.r2_url;
-                    
-                    // Try to get full PDF text, fallback to snippet
-                    let fullText = await fetchPdfText(pdfUrl, 8000);
-                    if (!fullText) {
-                        fullText = doc.page_content || m.text_snippet || "";
+                    const snippet = doc.pageContent || m.text_snippet || "";
+                    if (index >= 2 || rerankScore < FULL_TEXT_MIN_RERANK_SCORE) {
+                        return { doc, score, rerankScore, fullText: snippet };
                     }
-                    
-                    return { doc, score, fullText };
+
+                    // Try to get full PDF text (cached), fallback to snippet
+                    const pdfUrl = m.source_url || m.r2_url;
+                    const fullText = await fetchPdfText(pdfUrl, 8000, { caseId: m.case_id });
+                    return { doc, score, rerankScore, fullText: fullText || snippet };
                 })
             );
-            
-            // For remaining docs (3rd, 4th), just use snippet
-            const remainingDocs = validDocs.slice(2).map(([doc, score]) => ({
-                doc,
-                score,
-                fullText: doc.page_content || doc.metadata.text_snippet || ""
-            }));
-            
-            const allDocs = [...enrichedDocs, ...remainingDocs];
-            
-            contextText = allDocs.map(({ doc, score, fullText }) => {
+
+            contextText = enrichedDocs.map(({ doc, fullText }, index) => {
                 const m = doc.metadata;
                 const caseTitle = m.case_title || "Unknown Case";
-                return `CASE: ${caseTitle}\nCOURT: ${m.court || "Unknown"}\n\n${fullText}`;
+                return `[${index + 1}] CASE: ${caseTitle}\nCOURT: ${m.court || "Unknown"}\n\n${fullText}`;
             }).join("\n\n---\n\n");
             
             console.log(`Context text length: ${contextText.length} chars`);
             
-            uniqueSources = validDocs.map(([doc, score]) => {
+            uniqueSources = caseDocs.map(({ doc, score, rerankScore }, index) => {
                 const m = doc.metadata;
                 return {
+                    marker: index + 1,
+                    case_id: m.case_id,
                     case_title: m.case_title || "Unknown Case",
                     source_url: m.r2_url || m.source_url  || "#",
-                    score: score
+                    court: m.court,
+                    judge: m.judge,
+                    year: m.year,
+                    score: score,
+                    rerank_score: rerankScore
                 };
             });
-            
-            // Remove duplicates
-            uniqueSources = [...new Map(uniqueSources.map(item => [item.case_title, item])).values()];
         } else {
             // We have NO valid cases -> Common Knowledge Mode
             console.log("No docs met threshold. Switching to Common Knowledge.");
@@ -275,7 +171,8 @@ export async function streamLegalAssistantResponse(userInput, chatHistory, res)
         }
 
         // --- STEP D: GENERATION ---
-        
+        signal?.throwIfAborted();
+
         // Send sources to frontend IMMEDIATELY (so they don't change later)
         res.write(`event: sources\ndata: ${JSON.stringify(uniqueSources)}\n\n`);
 
@@ -286,9 +183,9 @@ ${contextText}
 
 INSTRUCTIONS:
 1. The above contains excerpts from relevant legal cases found in our database.
-2. Use this information to answer the user's question. Cite the case names provided.
+2. Use this information to answer the user's question. Cite the case names provided, and put the case's bracketed number (e.g. [1] or [2]) right after every sentence that relies on it. Only use the numbers listed above.
 3. If the excerpts are brief, supplement with your knowledge of the case if you recognize it, but prioritize the provided information.
-4. If "NO SPECIFIC CASE FILES FOUND" appears above, use your general knowledge of Indian Law.
+4. If "NO SPECIFIC CASE FILES FOUND" appears above, use your general knowledge of Indian Law and do not use bracketed numbers.
 5. Be helpful and thorough in your response.
 6. Dont say words like using common knowledge etc or i am an ai language model. Just answer the question directly.
 `;
@@ -299,23 +196,54 @@ INSTRUCTIONS:
             new HumanMessage(userInput)
         ];
 
-        const stream = await llm.stream(messages);
+        // Rotates keys / falls back across providers; a mid-stream switch is announced
+        // with a provider_switch event (stream_resume when only the key changed)
+        // and the answer continues from where it stopped
+        const { answer: streamedAnswer } = await streamLLMWithFallback(messages, "chat", {
+            onToken: (token) => {
+                partialAnswer += token;
+                res.write(`event: chunk\ndata: ${JSON.stringify(token)}\n\n`);
+            },
+            onProviderSwitch: (info) => {
+                res.write(`event: provider_switch\ndata: ${JSON.stringify(info)}\n\n`);
+            },
+            onResume: (info) => {
+                res.write(`event: stream_resume\ndata: ${JSON.stringify(info)}\n\n`);
+            },
+            signal,
+        });
         
-        let fullAnswer = "";
-        for await (const chunk of stream) {
-            const token = chunk.content;
-            fullAnswer += token;
-            res.write(`event: chunk\ndata: ${JSON.stringify(token)}\n\n`);
+        // --- STEP E: CITATION CHECK ---
+        // Link [n] markers to sources, drop markers with no matching source and
+        // flag case names that were not in the retrieved context.
+        const { answer: fullAnswer, citations, removedMarkers } = verifyCitations(streamedAnswer, uniqueSources);
+        res.write(`event: citations\ndata: ${JSON.stringify({ citations, removed: removedMarkers })}\n\n`);
+
+        // --- STEP F: OLD/NEW CODE EQUIVALENTS ---
+        // Sections of the IPC/CrPC/Evidence Act in the answer get their BNS/BNSS/BSA counterpart and vice versa
+        const statuteMap = findMappableReferences(fullAnswer);
+        if (statuteMap.length > 0) {
+            res.write(`event: statute_map\ndata: ${JSON.stringify(statuteMap)}\n\n`);
         }
-        
+
         console.log("sources sent:", uniqueSources);
         res.write(`event: end\ndata: {}\n\n`);
 
-        return { answer: fullAnswer, sources: uniqueSources };
+        return { answer: fullAnswer, sources: uniqueSources, citations, statuteMap, searchQuery, interrupted: false };
 
     } catch (e) {
+        if (signal?.aborted) {
+            // Keep what was streamed; markers are checked like a full answer's
+            const { answer, citations } = verifyCitations(partialAnswer, uniqueSources);
+            console.log(`Generation aborted (${signal.reason}) after ${partialAnswer.length} chars`);
+            if (!res.writableEnded && !res.destroyed) {
+                res.write(`event: end\ndata: ${JSON.stringify({ interrupted: true, reason: signal.reason })}\n\n`);
+            }
+            return { answer, sources: uniqueSources, citations, statuteMap: [], searchQuery, interrupted: true };
+        }
         console.error("Error:", e);
         res.write(`event: error\ndata: "Internal Server Error"\n\n`);
+        Object.assign(e, { partialAnswer, sources: uniqueSources, searchQuery });
         throw e;
     }
 }
@@ -327,20 +255,32 @@ export function cleanLegalDocument(text) {
     let lines = text.split('\n');
     let mainContent = lines.filter(line => !line.trim().match(/^\d+$/)); // Simple filter
     
-    // If complex logic needed, revert to previous regex, but usually basic strip is fine for summary
+    // Keep line breaks: chunking uses headings and paragraphs to find section boundaries
     let cleaned = mainContent.join('\n');
-    cleaned = cleaned.replace(/\s+/g, ' ').trim();
-    return cleaned.slice(0, 15000); // Limit context size
+    cleaned = cleaned.replace(/[ \t]+/g, ' ').replace(/\n\s*\n+/g, '\n\n').trim();
+    return cleaned;
+}
+
+// Runs fn over items with at most `limit` calls in flight (keeps us under provider rate limits)
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    });
+    await Promise.all(workers);
+    return results;
 }
 
 // --- LSI (Legal Statute Identification) ---
-// Optimized: Uses GPT-4o-mini (single call) to save API quota
+// Optimized: Routed to the "lsi" providers (GPT-4o-mini first) to save Groq quota
 
-export async function extractLegalStatutes(inputText) {
+// One LLM call over a single chunk of the document
+async function extractStatutesFromChunk(chunkText) {
     try {
-        // Truncate to ~4000 words to fit in one API call
-        const truncatedText = inputText.split(/\s+/).slice(0, 4000).join(" ");
-        
         const extractionPrompt = `You are an expert Indian legal analyst. Analyze this legal document and extract ALL applicable Indian laws, acts, sections, and legal provisions mentioned or relevant to the case.
 
 For each statute/law found, provide:
@@ -348,7 +288,7 @@ For each statute/law found, provide:
 2. A clear 2-3 sentence explanation of what it means and how it applies
 
 DOCUMENT:
-${truncatedText}
+${chunkText}
 
 IMPORTANT: Return your response as valid JSON only, no other text. Format:
 {
@@ -358,8 +298,8 @@ IMPORTANT: Return your response as valid JSON only, no other text. Format:
 
 If no specific statutes are found, return: {}`;
 
-        // Use GPT-4o-mini for LSI (preferOpenAI = true) - saves Groq quota
-        const response = await invokeLLMWithFallback(extractionPrompt, true);
+        // LSI routing prefers GPT-4o-mini - saves Groq quota
+        const response = await invokeLLMWithFallback(extractionPrompt, "lsi");
         
         // Parse JSON response
         try {
@@ -410,32 +350,162 @@ If no specific statutes are found, return: {}`;
         }
     } catch (error) {
         console.error("Error extracting legal statutes:", error);
-        return {};
+        return null;
     }
 }
 
-export async function summarizeLegalDocument(inputText) {
-    const cleanedText = cleanLegalDocument(inputText);
-    if (!cleanedText) throw new Error("Input text is empty");
+// Runs LSI over ~4000-word chunks of the whole document and merges the results
+// (first description wins for a provision found in several chunks).
+async function extractLegalStatutesWithCoverage(inputText) {
+    const chunks = chunkLegalDocument(cleanLegalDocument(inputText), { chunkSize: LSI_CHUNK_CHARS });
+    const selected = chunks.slice(0, MAX_LSI_CHUNKS);
+    const results = await mapWithConcurrency(selected, 2, chunk => extractStatutesFromChunk(chunk.text));
+
+    const statutes = {};
+    let coveredChars = 0;
+    results.forEach((result, index) => {
+        if (!result) return;
+        coveredChars += selected[index].text.length;
+        for (const [name, description] of Object.entries(result)) {
+            if (!(name in statutes)) statutes[name] = description;
+        }
+    });
+
+    const totalChars = chunks.reduce((sum, chunk) => sum + chunk.text.length, 0);
+    console.log(`Extracted ${Object.keys(statutes).length} legal statutes from ${selected.length}/${chunks.length} chunks`);
+    return {
+        statutes,
+        coverage: {
+            chunks: chunks.length,
+            chunks_processed: results.filter(Boolean).length,
+            ratio: totalChars ? Number((coveredChars / totalChars).toFixed(3)) : 0,
+        },
+    };
+}
+
+export async function extractLegalStatutes(inputText) {
+    const { statutes } = await extractLegalStatutesWithCoverage(inputText);
+    return statutes;
+}
+
+// --- MAP-REDUCE SUMMARIZATION ---
+// Short documents get one call. Longer ones are chunked by section, each chunk
+// is summarized on its own (map) and the partial summaries are merged into the
+// final ~500-word summary (reduce, repeated while they are still too long).
+
+const SUMMARY_INSTRUCTIONS = `You are an expert legal assistant specializing in summarizing legal documents.
+Just give the summary, and don't write statements like "Here is a concise and coherent summary" or "The summary is as follows:".`;
+
+async function summarizeChunk(chunk, total) {
+    const sectionLabel = chunk.heading ? ` (section: ${chunk.heading})` : "";
+    const mapPrompt = `${SUMMARY_INSTRUCTIONS}
+
+This is part ${chunk.index + 1} of ${total} of a longer legal judgment${sectionLabel}.
+Summarize this part in 150-250 words. Keep every fact, party argument, point of reasoning, statute, cited case and order or direction it contains, since the parts will be merged later.
+
+${chunk.text}`;
 
-    // Use Groq for summarization (main task, preferOpenAI = false)
-    const summaryPrompt = `You are an expert legal assistant specializing in summarizing legal documents.
-Just give the summary, and don't write statements like "Here is a concise and coherent summary" or "The summary is as follows:".
+    try {
+        const response = await invokeLLMWithFallback(mapPrompt, "summary");
+        return response.content;
+    } catch (error) {
+        console.error(`Summary of chunk ${chunk.index + 1}/${total} failed: ${error.message}`);
+        return null;
+    }
+}
+
+async function mergeSummaries(partials) {
+    const joined = partials.map((p, i) => `PART ${i + 1}:\n${p}`).join("\n\n");
+
+    // Still too long for one call: merge in groups first
+    if (joined.length > SINGLE_PASS_CHARS && partials.length > 2) {
+        const groupSize = Math.ceil(partials.length / Math.ceil(joined.length / SINGLE_PASS_CHARS));
+        const groups = [];
+        for (let i = 0; i < partials.length; i += groupSize) {
+            groups.push(partials.slice(i, i + groupSize));
+        }
+        const merged = await mapWithConcurrency(groups, 2, group => mergeSummaries(group));
+        return mergeSummaries(merged);
+    }
+
+    const reducePrompt = `${SUMMARY_INSTRUCTIONS}
+
+Below are summaries of consecutive parts of one legal judgment, in order. Combine them into a single coherent summary of about 500 words covering the key facts, the issues, the arguments of each side, the court's reasoning and the final order. Do not mention the parts.
+
+${joined}`;
+
+    const response = await invokeLLMWithFallback(reducePrompt, "summary");
+    return response.content;
+}
+
+// onProgress(stage, percent, message) may throw to abort (job cancellation)
+async function summarizeWithCoverage(cleanedText, onProgress) {
+    const inputText = cleanedText.slice(0, MAX_SUMMARY_INPUT_CHARS);
+    const totalChars = cleanedText.length;
+
+    if (inputText.length <= SINGLE_PASS_CHARS) {
+        const summaryPrompt = `${SUMMARY_INSTRUCTIONS}
 
 Summarize this legal document in about 500 words, focusing on the key facts, arguments, and conclusions:
 
-${cleanedText}`;
+${inputText}`;
+        const response = await invokeLLMWithFallback(summaryPrompt, "summary");
+        return {
+            summary: response.content,
+            digest: inputText,
+            coverage: { chunks: 1, chunks_summarized: 1, total_chars: totalChars, covered_chars: inputText.length },
+        };
+    }
+
+    const chunks = chunkLegalDocument(inputText, { chunkSize: SUMMARY_CHUNK_CHARS });
+    console.log(`Map-reduce summary over ${chunks.length} chunks`);
+    let done = 0;
+    const partials = await mapWithConcurrency(chunks, 2, async chunk => {
+        const partial = await summarizeChunk(chunk, chunks.length);
+        done += 1;
+        await onProgress("summarizing", 10 + (done / chunks.length) * 50, `Summarized part ${done} of ${chunks.length}`);
+        return partial;
+    });
+
+    const summarized = partials.filter(Boolean);
+    if (summarized.length === 0) throw new Error("Failed to generate summary");
 
-    const summaryResponse = await invokeLLMWithFallback(summaryPrompt, false);
+    const coveredChars = chunks.reduce((sum, chunk, i) => sum + (partials[i] ? chunk.text.length : 0), 0);
+    await onProgress("merging", 62, `Merging ${summarized.length} partial summaries`);
+    return {
+        summary: await mergeSummaries(summarized),
+        // Partial summaries stand in for the full text in later passes (case brief)
+        digest: summarized.join("\n\n").slice(0, MAX_DIGEST_CHARS),
+        coverage: {
+            chunks: chunks.length,
+            chunks_summarized: summarized.length,
+            total_chars: totalChars,
+            covered_chars: coveredChars,
+        },
+    };
+}
+
+export async function summarizeLegalDocument(inputText, { filters = null, onProgress = async () => {} } = {}) {
+    const cleanedText = cleanLegalDocument(inputText);
+    if (!cleanedText) throw new Error("Input text is empty");
+
+    // Deterministic pass first: reporter citations, sections and acts written in the text
+    const extracted = extractLegalReferences(cleanedText);
+
+    // Summary routing prefers Groq (main task)
+    await onProgress("summarizing", 5, "Summarizing document");
+    const { summary, digest, coverage } = await summarizeWithCoverage(cleanedText, onProgress);
+    await onProgress("searching", 70, "Finding similar cases");
     
     // Get vector store for similar cases
     const { vectorStore } = await getResources();
     
-    // Manual search for recommendations
-    const similarDocs = await vectorStore.similaritySearchWithScore(summaryResponse.content, 5);
+    // Manual search for recommendations (scoped by the request's filters)
+    const similarDocs = await vectorStore.similaritySearchWithScore(summary, 5, toVectorFilter(filters));
     
     // Filter by relevance score
     const sources = similarDocs
+        .filter(([doc]) => matchesSearchFilters(doc.metadata, filters))
         .filter(([_, score]) => score < 0.35 || score >= 0.5) // Euclidean: lower is better, Cosine: higher is better
         .map(([doc, score]) => ({
             case_title: doc.metadata.case_title || doc.metadata.source || "Unknown Case",
@@ -446,12 +516,48 @@ ${cleanedText}`;
     // Unique sources
     const uniqueSources = [...new Map(sources.map(item => [item.case_title, item])).values()];
 
-    // Extract legal statutes (uses GPT-4o-mini to save Groq quota)
-    const legalStatutes = await extractLegalStatutes(inputText);
+    // Extract legal statutes (routed to GPT-4o-mini first to save Groq quota)
+    // and the structured brief side by side
+    await onProgress("analyzing", 80, "Extracting statutes and case brief");
+    const [{ statutes: legalStatutes, coverage: statuteCoverage }, { brief, valid: briefValid }] = await Promise.all([
+        extractLegalStatutesWithCoverage(inputText),
+        generateCaseBrief(digest),
+    ]);
+
+    // Canonical IDs ("IPC:302") for storage and aggregation. Provisions found
+    // in the text are "extracted", ones only the LLM reported are "inferred".
+    const { statutes: inferred, unrecognized } = normalizeStatutes(legalStatutes);
+    const statutes = mergeStatutes(extracted.statutes, inferred);
+
+    // The raw LSI map is kept for display; add what the LLM missed
+    const displayStatutes = { ...(legalStatutes || {}) };
+    for (const statute of statutes.filter(s => s.source === "extracted" && !s.raw)) {
+        const label = statute.section ? `${statute.unit} ${statute.section} ${statute.act_name}` : statute.act_name;
+        displayStatutes[label] = statute.title || "Referred to in the judgment";
+    }
 
     return {
-        summary: summaryResponse.content,
+        summary: summary,
         sources: uniqueSources,
-        legalStatutes: legalStatutes
+        legalStatutes: displayStatutes,
+        // IPC/CrPC/Evidence Act provisions also carry their BNS/BNSS/BSA counterparts, and vice versa
+        statutes: withCounterparts(statutes),
+        unrecognizedStatutes: [
+            ...unrecognized.map(item => ({ ...item, source: "inferred" })),
+            ...extracted.unregisteredActs.map(act => ({
+                raw: `${act.name}, ${act.year}`,
+                description: null,
+                reason: "act not in registry",
+                source: "extracted",
+            })),
+        ],
+        citations: extracted.citations.map(citation => ({ ...citation, source: "extracted" })),
+        brief: brief,
+        briefValid: briefValid,
+        coverage: {
+            ...coverage,
+            ratio: coverage.total_chars ? Number((coverage.covered_chars / coverage.total_chars).toFixed(3)) : 0,
+            statutes: statuteCoverage,
+        }
     };
 }
\ No newline at end of file
@@ -0,0 +1,113 @@
+import axios from "axios";
+
+// --- POLITE FETCHING ---
+// Every request to a court site goes through here. Requests to one host run
+// one at a time with a minimum gap between them, failures that may be
+// temporary (network errors, 429, 5xx) retry with exponential backoff, and a
+// 429/503 Retry-After pauses the whole host. Callers can pass the ETag and
+// Last-Modified of an earlier fetch to get `notModified` instead of a body.
+
+const USER_AGENT = process.env.SCRAPER_USER_AGENT || "LawVista-Ingest/1.0 (+https://lawapi.jsondev.in)";
+const MIN_INTERVAL_MS = Number(process.env.SCRAPER_MIN_INTERVAL_MS || 2000);
+const MAX_ATTEMPTS = Number(process.env.SCRAPER_MAX_ATTEMPTS || 4);
+const RETRY_BASE_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60000;
+const REQUEST_TIMEOUT_MS = 30000;
+
+// host -> { tail: promise of the last queued request, lastRequestAt, pausedUntil }
+const hosts = new Map();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function hostState(host) {
+    if (!hosts.has(host)) hosts.set(host, { tail: Promise.resolve(), lastRequestAt: 0, pausedUntil: 0 });
+    return hosts.get(host);
+}
+
+// Runs task after every earlier request to the same host, spaced MIN_INTERVAL_MS apart
+function schedule(host, task) {
+    const state = hostState(host);
+    const run = state.tail.then(async () => {
+        const wait = Math.max(state.lastRequestAt + MIN_INTERVAL_MS, state.pausedUntil) - Date.now();
+        if (wait > 0) await sleep(wait);
+        try {
+            return await task();
+        } finally {
+            state.lastRequestAt = Date.now();
+        }
+    });
+    state.tail = run.catch(() => {});
+    return run;
+}
+
+function isRetryable(error) {
+    if (!error.response) return error.code !== "ERR_CANCELED";
+    const status = error.response.status;
+    return status === 429 || status >= 500;
+}
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(response) {
+    const header = response?.headers?.["retry-after"];
+    if (!header) return 0;
+    const seconds = Number(header);
+    const ms = Number.isNaN(seconds) ? new Date(header).getTime() - Date.now() : seconds * 1000;
+    return Number.isFinite(ms) ? Math.min(Math.max(ms, 0), MAX_RETRY_DELAY_MS) : 0;
+}
+
+function backoffMs(attempt) {
+    const delay = RETRY_BASE_MS * 2 ** (attempt - 1);
+    return Math.min(delay + Math.random() * delay * 0.25, MAX_RETRY_DELAY_MS);
+}
+
+// axios error -> Error with the status our API should answer with
+function fetchError(error, url, attempts) {
+    const upstream = error.response?.status;
+    const wrapped = new Error(upstream
+        ? `${url} returned ${upstream}`
+        : `${url} could not be reached: ${error.message}`);
+    wrapped.status = upstream === 404 ? 404 : 502;
+    wrapped.upstreamStatus = upstream || null;
+    wrapped.attempts = attempts;
+    return wrapped;
+}
+
+// config: axios request config (url, method, data, headers, responseType).
+// conditional: { etag, lastModified } from an earlier fetch.
+// Returns { data, headers, etag, lastModified, notModified, attempts }.
+export async function politeRequest(config, { etag, lastModified } = {}) {
+    const host = new URL(config.url).host;
+    const headers = {
+        "User-Agent": USER_AGENT,
+        ...config.headers,
+        ...(etag && { "If-None-Match": etag }),
+        ...(lastModified && { "If-Modified-Since": lastModified }),
+    };
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            const response = await schedule(host, () => axios.request({
+                timeout: REQUEST_TIMEOUT_MS,
+                ...config,
+                headers,
+                validateStatus: status => (status >= 200 && status < 300) || status === 304,
+            }));
+            return {
+                data: response.status === 304 ? null : response.data,
+                headers: response.headers,
+                etag: response.headers.etag || null,
+                lastModified: response.headers["last-modified"] || null,
+                notModified: response.status === 304,
+                attempts: attempt,
+            };
+        } catch (error) {
+            if (!isRetryable(error) || attempt >= MAX_ATTEMPTS) throw fetchError(error, config.url, attempt);
+
+            const retryAfter = retryAfterMs(error.response);
+            if (retryAfter > 0) hostState(host).pausedUntil = Date.now() + retryAfter;
+            const delay = Math.max(backoffMs(attempt), retryAfter);
+            console.warn(`${config.url} failed (${error.response?.status || error.code}), retry ${attempt}/${MAX_ATTEMPTS - 1} in ${Math.round(delay)}ms`);
+            await sleep(delay);
+        }
+    }
+}
@@ -0,0 +1,34 @@
+import indianKanoon from "./indianKanoon.js";
+import liiOfIndia from "./liiOfIndia.js";
+
+// --- COURT SOURCES ---
+// Each source knows one site's URLs and page layout. A source is an object:
+//   name              key used in ?source= and stored on the Case
+//   label             human-readable name
+//   validateId(docid) whether docid looks like an id on this site
+//   caseId(docid)     Case_id for the judgment
+//   url(docid)        page the judgment is scraped from
+//   fetchPage(docid, { etag, lastModified })
+//                     -> politeRequest result (./http.js); `data` is the HTML
+//   fetchPdf(docid)   -> Buffer, or null when the site has no PDFs
+//   parse(html)       -> { details (Case fields), judgmentHtml, text, links }
+// `links` are [{ docid, text, context }] where docid is the linked
+// judgment's Case_id. utils/ingestion.js takes it from there.
+
+export const DEFAULT_SOURCE = indianKanoon.name;
+
+const SOURCES = new Map([indianKanoon, liiOfIndia].map(source => [source.name, source]));
+
+export function getSource(name = DEFAULT_SOURCE) {
+    const source = SOURCES.get(name);
+    if (!source) {
+        const error = new Error(`Unknown source "${name}". Available: ${[...SOURCES.keys()].join(", ")}`);
+        error.status = 400;
+        throw error;
+    }
+    return source;
+}
+
+export function listSources() {
+    return [...SOURCES.values()].map(({ name, label }) => ({ name, label }));
+}
@@ -0,0 +1,95 @@
+import * as cheerio from "cheerio";
+import { politeRequest } from "./http.js";
+
+// --- INDIAN KANOON ---
+// https://indiankanoon.org/doc/<docid>/. The docid is used as the Case_id
+// as is, since every case ingested before sources were pluggable came from here.
+
+const MONTHS = ["january", "february", "march", "april", "may", "june", "july",
+    "august", "september", "october", "november", "december"];
+
+// Titles end with the judgment date: "... vs State Of Kerala on 24 April, 1973"
+export function parseJudgmentDate(title) {
+    const match = String(title || "").match(/\bon\s+(\d{1,2})\s+([A-Za-z]+),?\s+(\d{4})\s*$/);
+    if (!match) return undefined;
+    const month = MONTHS.indexOf(match[2].toLowerCase());
+    if (month === -1) return undefined;
+    return new Date(Date.UTC(Number(match[3]), month, Number(match[1])));
+}
+
+function docUrl(docid) {
+    return `https://indiankanoon.org/doc/${docid}/`;
+}
+
+function fetchPage(docid, conditional) {
+    return politeRequest({ url: docUrl(docid), method: 'get', responseType: 'text' }, conditional);
+}
+
+// The PDF is a form POST on the same page
+async function fetchPdf(docid) {
+    const { data, headers } = await politeRequest({
+        url: docUrl(docid),
+        method: 'post',
+        data: new URLSearchParams({ type: 'pdf' }),
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        responseType: 'arraybuffer',
+    });
+    if (!String(headers['content-type']).startsWith('application/pdf')) {
+        throw new Error('PDF response is not valid');
+    }
+    return data;
+}
+
+function parseJudgment(html) {
+    const $ = cheerio.load(html);
+
+    // Remove ad elements
+    $('div.ad_doc').remove();
+
+    const judgmentsDiv = $('div.judgments');
+    let judgmentHtml = '';
+    const paragraphs = [];
+    judgmentsDiv.children().each((_, element) => {
+        const text = $(element).text().trim();
+        if (!text) return;
+        paragraphs.push(text);
+        judgmentHtml += $(element).is('pre') ? `<pre>${text}</pre><br />` : `${text}<br />`;
+    });
+    if (paragraphs.length === 0) throw new Error('Judgment text not found');
+
+    // Links to other judgments feed the citation graph
+    const links = [];
+    judgmentsDiv.find('a[href]').each((_, element) => {
+        const docid = $(element).attr('href').match(/^(?:https?:\/\/indiankanoon\.org)?\/doc\/(\d+)\/?/)?.[1];
+        if (!docid) return;
+        links.push({ docid, text: $(element).text().trim(), context: $(element).parent().text().trim() });
+    });
+
+    // Matched on class only: the site has served these as h2/h3 and as divs
+    const linkTexts = selector => $(selector).map((_, el) => $(el).text().trim()).get().filter(Boolean).join(', ');
+    const title = $('.doc_title').first().text().replace(/\s+/g, ' ').trim();
+    const details = {
+        Case_Title: title || 'Not Found',
+        Court_Name: $('.docsource_main').first().text().trim() || 'Not Found',
+        Judgment_Author: linkTexts('.doc_author a') || 'Not Found',
+        Bench: linkTexts('.doc_bench a') || $('.doc_bench').text().replace(/^\s*Bench\s*:/i, '').trim() || 'Not Found',
+        Citations: $('.doc_citations').text().replace(/^\s*Equivalent citations\s*:/i, '').replace(/\s+/g, ' ').trim() || 'Not Found',
+        Issues: $('p[data-structure="Issue"]').map((_, el) => $(el).text().trim()).get(),
+        Facts: $('p[data-structure="Facts"]').map((_, el) => $(el).text().trim()).get(),
+        Conclusions: $('p[data-structure="Conclusion"]').map((_, el) => $(el).text().trim()).get(),
+        Judgment_Date: parseJudgmentDate(title),
+    };
+
+    return { details, judgmentHtml, text: paragraphs.join("\n\n"), links };
+}
+
+export default {
+    name: "indiankanoon",
+    label: "Indian Kanoon",
+    validateId: docid => /^\d+$/.test(docid),
+    caseId: docid => docid,
+    url: docUrl,
+    fetchPage,
+    fetchPdf,
+    parse: parseJudgment,
+};
@@ -0,0 +1,131 @@
+import * as cheerio from "cheerio";
+import { politeRequest } from "./http.js";
+
+// --- LEGAL INFORMATION INSTITUTE OF INDIA ---
+// Supreme Court and High Court judgments on liiofindia.org, in the AustLII
+// page layout: the title (with the neutral citation and date) in an <h2>,
+// then the judgment as plain paragraphs. Supreme Court judgments keep the
+// JUDIS header block (PETITIONER:, RESPONDENT:, DATE OF JUDGMENT, BENCH:,
+// CITATION:) that the court's own database used.
+//
+// The docid is the path under /in/cases/ without ".html", e.g.
+// "cen/INSC/1973/90"; the route takes it URL-encoded. Case_ids get a "lii-"
+// prefix so they cannot collide with Indian Kanoon's numeric ids.
+
+const BASE_URL = "http://www.liiofindia.org/in/cases";
+
+const COURT_NAMES = {
+    INSC: "Supreme Court of India",
+};
+
+const MONTHS = ["january", "february", "march", "april", "may", "june", "july",
+    "august", "september", "october", "november", "december"];
+
+const NEUTRAL_CITATION = /\[\d{4}\]\s+[A-Z]+\s+\d+/;
+
+// Navigation, search and footer blocks around the judgment
+const PAGE_CHROME = 'form, nav, footer, [id*="footer"], [class*="footer"], [id*="nav"], [class*="nav"]';
+
+const JUDIS_FIELDS = "PETITIONER|RESPONDENT|DATE OF JUDGMENT|BENCH|CITATION|CITATOR INFO|ACT|HEADNOTE|JUDGMENT|AUTHOR";
+
+function toCaseId(docid) {
+    return `lii-${docid.replace(/\//g, "-")}`;
+}
+
+function docUrl(docid) {
+    return `${BASE_URL}/${docid}.html`;
+}
+
+function fetchPage(docid, conditional) {
+    return politeRequest({ url: docUrl(docid), method: 'get', responseType: 'text' }, conditional);
+}
+
+// "Kesavananda Bharati v. State of Kerala [1973] INSC 90 (24 April 1973)"
+function parseTitle(title) {
+    const match = title.match(/\[(\d{4})\]\s+([A-Z]+)\s+(\d+)\s*(?:\((\d{1,2})\s+([A-Za-z]+),?\s+(\d{4})\))?\s*$/);
+    if (!match) return {};
+    const month = match[5] ? MONTHS.indexOf(match[5].toLowerCase()) : -1;
+    return {
+        neutralCitation: `[${match[1]}] ${match[2]} ${match[3]}`,
+        courtCode: match[2],
+        date: month === -1 ? undefined : new Date(Date.UTC(Number(match[6]), month, Number(match[4]))),
+    };
+}
+
+// "HIGH COURT OF DELHI" -> "High Court of Delhi"
+function titleCase(name) {
+    return name.toLowerCase().replace(/\s+/g, ' ').replace(/\b(?!of\b|and\b|at\b)[a-z]/g, c => c.toUpperCase());
+}
+
+// Value of a JUDIS header field, up to the next field
+function judisField(text, field) {
+    const match = text.match(new RegExp(`^\\s*${field}:?[ \\t]*\\n?([\\s\\S]*?)\\n\\s*(?:${JUDIS_FIELDS}):?`, "m"));
+    const value = match?.[1].replace(/\s+/g, " ").trim();
+    return value || undefined;
+}
+
+function parseJudgment(html) {
+    const $ = cheerio.load(html);
+    $('script, style, form').remove();
+
+    // The judgment heading carries the neutral citation; the page header can
+    // have headings of its own (database name, navigation)
+    const headings = $('h1, h2');
+    const heading = headings.filter((_, el) => NEUTRAL_CITATION.test($(el).text())).first();
+    const title = (heading.text() || $('title').text()).replace(/\s+/g, ' ').trim();
+
+    // Everything after the title is the judgment, up to the page footer;
+    // <br> separates JUDIS header lines
+    let judgmentHtml = '';
+    const paragraphs = [];
+    const content = (heading.length ? heading.nextAll() : $('body').children()).not(PAGE_CHROME);
+    content.each((_, element) => {
+        $(element).find('br').replaceWith('\n');
+        const text = $(element).text().replace(/[ \t]+\n/g, '\n').trim();
+        if (!text || $(element).is('hr')) return;
+        paragraphs.push(text);
+        judgmentHtml += `${text.replace(/\n/g, '<br />')}<br />`;
+    });
+    if (paragraphs.length === 0) throw new Error('Judgment text not found');
+    const text = paragraphs.join("\n\n");
+
+    // Links to other LII judgments feed the citation graph
+    const links = [];
+    content.find('a[href]').each((_, element) => {
+        const docid = $(element).attr('href').match(/\/in\/cases\/([A-Za-z]+\/[A-Za-z]+\/\d{4}\/\d+)\.html/)?.[1];
+        if (!docid) return;
+        links.push({ docid: toCaseId(docid), text: $(element).text().trim(), context: $(element).parent().text().trim() });
+    });
+
+    const { neutralCitation, courtCode, date } = parseTitle(title);
+    const judisDate = judisField(text, "DATE OF JUDGMENT")?.match(/(\d{2})\/(\d{2})\/(\d{4})/);
+    const highCourt = text.match(/\bIN THE (HIGH COURT OF [A-Z][A-Z &]+?)(?:\s+AT\s+[A-Z][A-Z ]+)?\s*\n/i)?.[1];
+    const author = judisField(text, "AUTHOR")
+        || text.match(/\bdelivered by\s*:?\s*\n?\s*([A-Z][A-Za-z. ]+?),?\s+(?:C\.?\s?J|J)\b/)?.[1];
+    const citations = [judisField(text, "CITATION"), neutralCitation].filter(Boolean).join("; ");
+
+    const details = {
+        Case_Title: title || 'Not Found',
+        Court_Name: COURT_NAMES[courtCode] || (highCourt && titleCase(highCourt)) || 'Not Found',
+        Judgment_Author: author?.trim() || 'Not Found',
+        Bench: judisField(text, "BENCH") || 'Not Found',
+        Citations: citations || 'Not Found',
+        Judgment_Date: date || (judisDate
+            ? new Date(Date.UTC(Number(judisDate[3]), Number(judisDate[2]) - 1, Number(judisDate[1])))
+            : undefined),
+    };
+
+    return { details, judgmentHtml, text, links };
+}
+
+export default {
+    name: "liiofindia",
+    label: "Legal Information Institute of India",
+    validateId: docid => /^[A-Za-z]+\/[A-Za-z]+\/\d{4}\/\d+$/.test(docid),
+    caseId: toCaseId,
+    url: docUrl,
+    fetchPage,
+    // No PDFs on LII; the judgment text in R2 is the only copy
+    fetchPdf: async () => null,
+    parse: parseJudgment,
+};
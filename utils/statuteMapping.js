@@ -0,0 +1,84 @@
+import { createRequire } from "module";
+import { lookupStatute, parseStatuteReference } from "./statutes.js";
+const require = createRequire(import.meta.url);
+const correspondence = require("../data/statute-correspondence.json");
+
+// --- OLD/NEW CRIMINAL CODE CORRESPONDENCE ---
+// IPC <-> BNS, CrPC <-> BNSS, Evidence Act <-> BSA, from the bundled table in
+// data/statute-correspondence.json. Lookups work in both directions and on
+// canonical IDs from utils/statutes.js. Several old sections can map to one
+// new section (IPC 324 and 326 both went into BNS 118), so every lookup
+// returns a list.
+
+export const MAPPING_VERSION = correspondence.version;
+
+const OLD_CODES = new Set(correspondence.codes.map(code => code.old));
+const NEW_CODES = new Set(correspondence.codes.map(code => code.new));
+
+const byOld = new Map();
+const byNew = new Map();
+for (const mapping of correspondence.mappings) {
+    if (!byOld.has(mapping.from)) byOld.set(mapping.from, []);
+    byOld.get(mapping.from).push(mapping);
+    if (mapping.to) {
+        if (!byNew.has(mapping.to)) byNew.set(mapping.to, []);
+        byNew.get(mapping.to).push(mapping);
+    }
+}
+
+function describe(id, subsection = null) {
+    const statute = lookupStatute(id);
+    return statute ? { ...statute, subsection } : { id, subsection };
+}
+
+export function getRegime(actId) {
+    if (OLD_CODES.has(actId)) return "old";
+    if (NEW_CODES.has(actId)) return "new";
+    return null;
+}
+
+// Counterparts of one canonical statute under the other regime. Returns null
+// for acts the table does not cover, [] when a covered section has no entry.
+export function getCounterparts(statute) {
+    const regime = getRegime(statute.act);
+    if (!regime || !statute.section) return null;
+
+    if (regime === "old") {
+        return (byOld.get(statute.id) || []).map(mapping => ({
+            ...(mapping.to ? describe(mapping.to, mapping.to_subsection || null) : { id: null }),
+            relation: mapping.relation,
+            note: mapping.note || null,
+        }));
+    }
+    return (byNew.get(statute.id) || []).map(mapping => ({
+        ...describe(mapping.from),
+        relation: mapping.relation,
+        note: mapping.note || null,
+    }));
+}
+
+// Adds `regime` and `counterparts` to canonical statutes (LSI results)
+export function withCounterparts(statutes) {
+    return statutes.map(statute => {
+        const counterparts = getCounterparts(statute);
+        return counterparts ? { ...statute, regime: getRegime(statute.act), counterparts } : statute;
+    });
+}
+
+// Free-text or canonical reference -> { statutes: [...with counterparts], reason }
+export function mapStatuteReference(ref) {
+    const { statutes, reason } = parseStatuteReference(ref);
+    return { statutes: withCounterparts(statutes), reason };
+}
+
+// Statute references in generated text (chat answers) that have a counterpart
+export function findMappableReferences(text) {
+    const found = new Map();
+    for (const sentence of String(text || "").split(/(?<=[.;!?])\s+(?=[A-Z(])|\n+/)) {
+        const { statutes } = parseStatuteReference(sentence);
+        for (const statute of withCounterparts(statutes)) {
+            if (statute.counterparts?.length && !found.has(statute.id)) found.set(statute.id, statute);
+        }
+    }
+    return [...found.values()];
+}
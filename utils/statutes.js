@@ -0,0 +1,602 @@
+// --- STATUTE REGISTRY ---
+// Acts we can recognise, with the aliases they show up under in judgments and
+// LLM output, their year and how many sections (articles for the Constitution)
+// they have. Section titles are listed for the provisions cited most often;
+// any other section within range is still valid, just untitled.
+// Canonical IDs look like "IPC:302", "IPC:498A" or "COI:21"; an act cited
+// without a section gets the bare act ID ("NDPS").
+
+const ACTS = [
+    {
+        id: "IPC",
+        name: "Indian Penal Code",
+        year: 1860,
+        aliases: ["IPC", "Indian Penal Code", "Penal Code"],
+        maxSection: 511,
+        titles: {
+            "34": "Acts done by several persons in furtherance of common intention",
+            "107": "Abetment of a thing",
+            "109": "Punishment of abetment",
+            "120A": "Definition of criminal conspiracy",
+            "120B": "Punishment of criminal conspiracy",
+            "124A": "Sedition",
+            "141": "Unlawful assembly",
+            "147": "Punishment for rioting",
+            "148": "Rioting, armed with deadly weapon",
+            "149": "Every member of unlawful assembly guilty of offence committed in prosecution of common object",
+            "153A": "Promoting enmity between different groups",
+            "299": "Culpable homicide",
+            "300": "Murder",
+            "302": "Punishment for murder",
+            "304": "Punishment for culpable homicide not amounting to murder",
+            "304A": "Causing death by negligence",
+            "304B": "Dowry death",
+            "306": "Abetment of suicide",
+            "307": "Attempt to murder",
+            "308": "Attempt to commit culpable homicide",
+            "323": "Punishment for voluntarily causing hurt",
+            "324": "Voluntarily causing hurt by dangerous weapons or means",
+            "325": "Punishment for voluntarily causing grievous hurt",
+            "326": "Voluntarily causing grievous hurt by dangerous weapons or means",
+            "354": "Assault or criminal force to woman with intent to outrage her modesty",
+            "363": "Punishment for kidnapping",
+            "364": "Kidnapping or abducting in order to murder",
+            "366": "Kidnapping, abducting or inducing woman to compel her marriage",
+            "375": "Rape",
+            "376": "Punishment for rape",
+            "379": "Punishment for theft",
+            "380": "Theft in dwelling house",
+            "392": "Punishment for robbery",
+            "395": "Punishment for dacoity",
+            "396": "Dacoity with murder",
+            "406": "Punishment for criminal breach of trust",
+            "409": "Criminal breach of trust by public servant, or by banker, merchant or agent",
+            "415": "Cheating",
+            "420": "Cheating and dishonestly inducing delivery of property",
+            "447": "Punishment for criminal trespass",
+            "467": "Forgery of valuable security, will, etc.",
+            "468": "Forgery for purpose of cheating",
+            "471": "Using as genuine a forged document",
+            "498A": "Husband or relative of husband of a woman subjecting her to cruelty",
+            "499": "Defamation",
+            "500": "Punishment for defamation",
+            "504": "Intentional insult with intent to provoke breach of the peace",
+            "506": "Punishment for criminal intimidation",
+            "509": "Word, gesture or act intended to insult the modesty of a woman",
+        },
+    },
+    {
+        id: "CRPC",
+        name: "Code of Criminal Procedure",
+        year: 1973,
+        aliases: ["CrPC", "Cr PC", "Code of Criminal Procedure", "Criminal Procedure Code"],
+        maxSection: 484,
+        titles: {
+            "41": "When police may arrest without warrant",
+            "41A": "Notice of appearance before police officer",
+            "125": "Order for maintenance of wives, children and parents",
+            "144": "Power to issue order in urgent cases of nuisance or apprehended danger",
+            "154": "Information in cognizable cases",
+            "156": "Police officer's power to investigate cognizable case",
+            "161": "Examination of witnesses by police",
+            "164": "Recording of confessions and statements",
+            "167": "Procedure when investigation cannot be completed in twenty-four hours",
+            "173": "Report of police officer on completion of investigation",
+            "190": "Cognizance of offences by Magistrates",
+            "197": "Prosecution of Judges and public servants",
+            "200": "Examination of complainant",
+            "204": "Issue of process",
+            "227": "Discharge",
+            "228": "Framing of charge",
+            "300": "Person once convicted or acquitted not to be tried for same offence",
+            "313": "Power to examine the accused",
+            "319": "Power to proceed against other persons appearing to be guilty of offence",
+            "320": "Compounding of offences",
+            "357": "Order to pay compensation",
+            "374": "Appeals from convictions",
+            "378": "Appeal in case of acquittal",
+            "389": "Suspension of sentence pending the appeal; release of appellant on bail",
+            "397": "Calling for records to exercise powers of revision",
+            "401": "High Court's powers of revision",
+            "427": "Sentence on offender already sentenced for another offence",
+            "428": "Period of detention undergone by the accused to be set off against the sentence of imprisonment",
+            "436": "In what cases bail to be taken",
+            "437": "When bail may be taken in case of non-bailable offence",
+            "438": "Direction for grant of bail to person apprehending arrest",
+            "439": "Special powers of High Court or Court of Session regarding bail",
+            "482": "Saving of inherent powers of High Court",
+        },
+    },
+    {
+        id: "CPC",
+        name: "Code of Civil Procedure",
+        year: 1908,
+        aliases: ["CPC", "Code of Civil Procedure", "Civil Procedure Code"],
+        maxSection: 158,
+        titles: {
+            "9": "Courts to try all civil suits unless barred",
+            "10": "Stay of suit",
+            "11": "Res judicata",
+            "20": "Other suits to be instituted where defendants reside or cause of action arises",
+            "47": "Questions to be determined by the Court executing decree",
+            "80": "Notice",
+            "96": "Appeal from original decree",
+            "100": "Second appeal",
+            "114": "Review",
+            "115": "Revision",
+            "151": "Saving of inherent powers of Court",
+        },
+    },
+    {
+        id: "IEA",
+        name: "Indian Evidence Act",
+        year: 1872,
+        aliases: ["Indian Evidence Act", "Evidence Act", "IEA"],
+        maxSection: 167,
+        titles: {
+            "3": "Interpretation clause",
+            "8": "Motive, preparation and previous or subsequent conduct",
+            "24": "Confession caused by inducement, threat or promise",
+            "25": "Confession to police officer not to be proved",
+            "26": "Confession by accused while in custody of police not to be proved against him",
+            "27": "How much of information received from accused may be proved",
+            "32": "Cases in which statement of relevant fact by person who is dead or cannot be found is relevant",
+            "45": "Opinions of experts",
+            "65B": "Admissibility of electronic records",
+            "101": "Burden of proof",
+            "106": "Burden of proving fact especially within knowledge",
+            "113A": "Presumption as to abetment of suicide by a married woman",
+            "113B": "Presumption as to dowry death",
+            "114": "Court may presume existence of certain facts",
+            "118": "Who may testify",
+            "134": "Number of witnesses",
+            "137": "Examination-in-chief, cross-examination and re-examination",
+            "145": "Cross-examination as to previous statements in writing",
+        },
+    },
+    {
+        id: "BNS",
+        name: "Bharatiya Nyaya Sanhita",
+        year: 2023,
+        aliases: ["BNS", "Bharatiya Nyaya Sanhita"],
+        maxSection: 358,
+        titles: {
+            "3": "General explanations",
+            "61": "Criminal conspiracy",
+            "63": "Rape",
+            "64": "Punishment for rape",
+            "74": "Assault or use of criminal force to woman with intent to outrage her modesty",
+            "80": "Dowry death",
+            "85": "Husband or relative of husband of a woman subjecting her to cruelty",
+            "100": "Culpable homicide",
+            "101": "Murder",
+            "103": "Punishment for murder",
+            "105": "Punishment for culpable homicide not amounting to murder",
+            "106": "Causing death by negligence",
+            "108": "Abetment of suicide",
+            "109": "Attempt to murder",
+            "115": "Voluntarily causing hurt",
+            "303": "Theft",
+            "309": "Robbery",
+            "310": "Dacoity",
+            "316": "Criminal breach of trust",
+            "318": "Cheating",
+            "351": "Criminal intimidation",
+            "356": "Defamation",
+        },
+    },
+    {
+        id: "BNSS",
+        name: "Bharatiya Nagarik Suraksha Sanhita",
+        year: 2023,
+        aliases: ["BNSS", "Bharatiya Nagarik Suraksha Sanhita"],
+        maxSection: 531,
+        titles: {
+            "35": "When police may arrest without warrant",
+            "144": "Order for maintenance of wives, children and parents",
+            "173": "Information in cognizable cases",
+            "180": "Examination of witnesses by police",
+            "183": "Recording of confessions and statements",
+            "187": "Procedure when investigation cannot be completed in twenty-four hours",
+            "193": "Report of police officer on completion of investigation",
+            "480": "When bail may be taken in case of non-bailable offence",
+            "482": "Direction for grant of bail to person apprehending arrest",
+            "483": "Special powers of High Court or Court of Session regarding bail",
+            "528": "Saving of inherent powers of High Court",
+        },
+    },
+    {
+        id: "BSA",
+        name: "Bharatiya Sakshya Adhiniyam",
+        year: 2023,
+        aliases: ["BSA", "Bharatiya Sakshya Adhiniyam"],
+        maxSection: 170,
+        titles: {
+            "2": "Definitions",
+            "23": "Confession to police officer",
+            "26": "Cases in which statement of relevant fact by person who is dead or cannot be found is relevant",
+            "39": "Opinions of experts",
+            "63": "Admissibility of electronic records",
+            "104": "Burden of proof",
+        },
+    },
+    {
+        id: "COI",
+        name: "Constitution of India",
+        year: 1950,
+        unit: "Article",
+        aliases: ["Constitution of India", "Constitution", "COI"],
+        maxSection: 395,
+        titles: {
+            "12": "Definition of the State",
+            "13": "Laws inconsistent with or in derogation of the fundamental rights",
+            "14": "Equality before law",
+            "15": "Prohibition of discrimination",
+            "16": "Equality of opportunity in matters of public employment",
+            "19": "Protection of certain rights regarding freedom of speech, etc.",
+            "20": "Protection in respect of conviction for offences",
+            "21": "Protection of life and personal liberty",
+            "21A": "Right to education",
+            "22": "Protection against arrest and detention in certain cases",
+            "25": "Freedom of conscience and free profession, practice and propagation of religion",
+            "32": "Remedies for enforcement of fundamental rights",
+            "136": "Special leave to appeal by the Supreme Court",
+            "141": "Law declared by Supreme Court to be binding on all courts",
+            "142": "Enforcement of decrees and orders of Supreme Court",
+            "226": "Power of High Courts to issue certain writs",
+            "227": "Power of superintendence over all courts by the High Court",
+            "300A": "Persons not to be deprived of property save by authority of law",
+            "311": "Dismissal, removal or reduction in rank of persons employed in civil capacities",
+            "356": "Provisions in case of failure of constitutional machinery in States",
+            "368": "Power of Parliament to amend the Constitution",
+        },
+    },
+    {
+        id: "NDPS",
+        name: "Narcotic Drugs and Psychotropic Substances Act",
+        year: 1985,
+        aliases: ["NDPS Act", "NDPS", "Narcotic Drugs and Psychotropic Substances Act"],
+        maxSection: 83,
+        titles: {
+            "37": "Offences to be cognizable and non-bailable",
+            "42": "Power of entry, search, seizure and arrest without warrant or authorisation",
+            "50": "Conditions under which search of persons shall be conducted",
+        },
+    },
+    {
+        id: "NIA",
+        name: "Negotiable Instruments Act",
+        year: 1881,
+        aliases: ["Negotiable Instruments Act", "NI Act"],
+        maxSection: 147,
+        titles: {
+            "138": "Dishonour of cheque for insufficiency, etc., of funds in the account",
+            "139": "Presumption in favour of holder",
+            "141": "Offences by companies",
+            "142": "Cognizance of offences",
+        },
+    },
+    {
+        id: "PCA",
+        name: "Prevention of Corruption Act",
+        year: 1988,
+        aliases: ["Prevention of Corruption Act", "PC Act"],
+        maxSection: 31,
+        titles: {
+            "7": "Offence relating to public servant being bribed",
+            "13": "Criminal misconduct by a public servant",
+            "19": "Previous sanction necessary for prosecution",
+        },
+    },
+    {
+        id: "ARBITRATION",
+        name: "Arbitration and Conciliation Act",
+        year: 1996,
+        aliases: ["Arbitration and Conciliation Act", "Arbitration Act"],
+        maxSection: 87,
+        titles: {
+            "8": "Power to refer parties to arbitration where there is an arbitration agreement",
+            "9": "Interim measures, etc., by Court",
+            "11": "Appointment of arbitrators",
+            "34": "Application for setting aside arbitral award",
+            "37": "Appealable orders",
+        },
+    },
+    {
+        id: "DPA",
+        name: "Dowry Prohibition Act",
+        year: 1961,
+        aliases: ["Dowry Prohibition Act", "DP Act"],
+        maxSection: 10,
+        titles: {
+            "3": "Penalty for giving or taking dowry",
+            "4": "Penalty for demanding dowry",
+        },
+    },
+    {
+        id: "POCSO",
+        name: "Protection of Children from Sexual Offences Act",
+        year: 2012,
+        aliases: ["POCSO Act", "POCSO", "Protection of Children from Sexual Offences Act"],
+        maxSection: 46,
+        titles: {
+            "4": "Punishment for penetrative sexual assault",
+            "6": "Punishment for aggravated penetrative sexual assault",
+            "29": "Presumption as to certain offences",
+        },
+    },
+    {
+        id: "SCST",
+        name: "Scheduled Castes and the Scheduled Tribes (Prevention of Atrocities) Act",
+        year: 1989,
+        aliases: ["SC/ST Act", "SC ST Act", "Prevention of Atrocities Act", "Scheduled Castes and the Scheduled Tribes (Prevention of Atrocities) Act", "Scheduled Castes and Scheduled Tribes (Prevention of Atrocities) Act"],
+        maxSection: 23,
+        titles: {
+            "3": "Punishments for offences of atrocities",
+            "18": "Section 438 of the Code not to apply to persons committing an offence under the Act",
+        },
+    },
+    { id: "ARMS", name: "Arms Act", year: 1959, aliases: ["Arms Act"], maxSection: 46, titles: { "25": "Punishment for certain offences", "27": "Punishment for using arms, etc." } },
+    { id: "MVA", name: "Motor Vehicles Act", year: 1988, aliases: ["Motor Vehicles Act", "MV Act"], maxSection: 217, titles: { "166": "Application for compensation", "173": "Appeals" } },
+    { id: "HMA", name: "Hindu Marriage Act", year: 1955, aliases: ["Hindu Marriage Act", "HMA"], maxSection: 30, titles: { "9": "Restitution of conjugal rights", "13": "Divorce", "13B": "Divorce by mutual consent", "24": "Maintenance pendente lite and expenses of proceedings" } },
+    { id: "SRA", name: "Specific Relief Act", year: 1963, aliases: ["Specific Relief Act"], maxSection: 44, titles: { "10": "Cases in which specific performance of contract enforceable", "34": "Discretion of court as to declaration of status or right" } },
+    { id: "LIMITATION", name: "Limitation Act", year: 1963, aliases: ["Limitation Act"], maxSection: 32, titles: { "3": "Bar of limitation", "5": "Extension of prescribed period in certain cases", "14": "Exclusion of time of proceeding bona fide in court without jurisdiction" } },
+    { id: "TPA", name: "Transfer of Property Act", year: 1882, aliases: ["Transfer of Property Act", "TP Act", "TPA"], maxSection: 137, titles: { "52": "Transfer of property pending suit relating thereto", "53A": "Part performance", "106": "Duration of certain leases in absence of written contract or local usage" } },
+    { id: "ICA", name: "Indian Contract Act", year: 1872, aliases: ["Indian Contract Act", "Contract Act"], maxSection: 238, titles: { "10": "What agreements are contracts", "23": "What considerations and objects are lawful, and what not", "73": "Compensation for loss or damage caused by breach of contract", "74": "Compensation for breach of contract where penalty stipulated for" } },
+    { id: "ITA2000", name: "Information Technology Act", year: 2000, aliases: ["Information Technology Act", "IT Act"], maxSection: 94, titles: { "66A": "Punishment for sending offensive messages through communication service, etc.", "67": "Punishment for publishing or transmitting obscene material in electronic form", "79": "Exemption from liability of intermediary in certain cases" } },
+    { id: "ITA1961", name: "Income-tax Act", year: 1961, aliases: ["Income-tax Act", "Income Tax Act"], maxSection: 298, titles: { "147": "Income escaping assessment", "148": "Issue of notice where income has escaped assessment", "263": "Revision of orders prejudicial to revenue" } },
+    { id: "PWDVA", name: "Protection of Women from Domestic Violence Act", year: 2005, aliases: ["Protection of Women from Domestic Violence Act", "Domestic Violence Act", "DV Act", "PWDV Act"], maxSection: 37, titles: { "12": "Application to Magistrate", "18": "Protection orders", "19": "Residence orders", "20": "Monetary reliefs" } },
+    { id: "JJA", name: "Juvenile Justice (Care and Protection of Children) Act", year: 2015, aliases: ["Juvenile Justice (Care and Protection of Children) Act", "Juvenile Justice Act", "JJ Act"], maxSection: 112, titles: { "94": "Presumption and determination of age" } },
+    { id: "IDA", name: "Industrial Disputes Act", year: 1947, aliases: ["Industrial Disputes Act", "ID Act"], maxSection: 40, titles: { "2A": "Dismissal, etc., of an individual workman to be deemed to be an industrial dispute", "25F": "Conditions precedent to retrenchment of workmen" } },
+    { id: "COMPANIES", name: "Companies Act", year: 2013, aliases: ["Companies Act"], maxSection: 470, titles: {} },
+    { id: "CPA", name: "Consumer Protection Act", year: 2019, aliases: ["Consumer Protection Act"], maxSection: 107, titles: {} },
+    { id: "RTI", name: "Right to Information Act", year: 2005, aliases: ["Right to Information Act", "RTI Act"], maxSection: 31, titles: { "8": "Exemption from disclosure of information" } },
+];
+
+const ACTS_BY_ID = new Map(ACTS.map(act => [act.id, act]));
+
+// "CrPC" also matches "Cr.P.C." and "Cr. P. C."; long names tolerate extra spaces
+function aliasPattern(alias) {
+    if (!alias.includes(" ") && alias.length <= 6) {
+        return alias.split("").map(char => char.replace(/[/]/g, "\\/")).join("\\.?\\s?") + "\\.?";
+    }
+    return alias
+        .replace(/[()/]/g, char => `\\${char}`)
+        .replace(/-/g, "[- ]?")
+        .replace(/\s+/g, "\\s+");
+}
+
+// Longest aliases first so "Indian Penal Code" wins over "Penal Code"
+const ALIASES = ACTS
+    .flatMap(act => act.aliases.map(alias => ({ act, alias })))
+    .sort((a, b) => b.alias.length - a.alias.length);
+
+const ACT_PATTERN = new RegExp(
+    `(?<![A-Za-z])(?:${ALIASES.map(({ alias }) => `(${aliasPattern(alias)})`).join("|")})(?:\\s*,?\\s*(\\d{4}))?(?![A-Za-z])`,
+    "gi"
+);
+
+const SECTION_KEYWORD = /(?:\b(?:sections?|secs?|ss|articles?|arts?|u\/s|under\s+section)\b\.?|\bs\.)\s*(?=\d)/gi;
+const SECTION_NUMBER = /^(\d{1,4})(?:-?([A-Z]{1,2}))?(?![A-Za-z])((?:\s*\(\s*[0-9A-Za-z]{1,4}\s*\))*)/i;
+// "Order 39 Rule 1", "O. XXXIX R. 1" (CPC schedule). Orders and rules are
+// not in the registry, so these are kept out of section matching.
+const ORDER_RULE = /\b(?:Order|O\.)\s*([IVXL]+|\d{1,2})\b(?:\s*,?\s*(?:Rules?|R\.)\s*(\d{1,3}[A-Z]?))?/gi;
+const LIST_SEPARATOR = /^\s*(,|&|\/|\band\b|\bor\b|\bread\s+with\b|r\/w|\bto\b|-)\s*(?:(?:sections?|secs?|ss|s|articles?)\b\.?\s*)?(?=\d)/i;
+
+function findActMentions(text) {
+    const mentions = [];
+    for (const match of text.matchAll(ACT_PATTERN)) {
+        const groupIndex = match.slice(1, ALIASES.length + 1).findIndex(Boolean);
+        const { act } = ALIASES[groupIndex];
+        const year = match[ALIASES.length + 1] ? Number(match[ALIASES.length + 1]) : null;
+        mentions.push({ act, year, start: match.index, end: match.index + match[0].length });
+    }
+    return mentions;
+}
+
+function parseSectionNumber(text) {
+    const match = text.match(SECTION_NUMBER);
+    if (!match) return null;
+    return {
+        section: `${match[1]}${(match[2] || "").toUpperCase()}`,
+        number: Number(match[1]),
+        subsection: match[3].replace(/\s+/g, "") || null,
+        length: match[0].length,
+    };
+}
+
+// "Sections 302, 307 and 34", "Ss. 3 to 5", "Article 14 r/w 21"
+function findSectionMentions(text) {
+    const mentions = [];
+    for (const keyword of text.matchAll(SECTION_KEYWORD)) {
+        let position = keyword.index + keyword[0].length;
+        let previous = null;
+        let isRange = false;
+        while (position < text.length) {
+            const parsed = parseSectionNumber(text.slice(position));
+            if (!parsed) break;
+
+            if (isRange && previous && !previous.subsection && !parsed.subsection
+                && parsed.number > previous.number && parsed.number - previous.number <= 10) {
+                for (let n = previous.number + 1; n < parsed.number; n++) {
+                    mentions.push({ section: String(n), number: n, subsection: null, start: keyword.index, end: position });
+                }
+            }
+            const mention = { ...parsed, start: keyword.index, end: position + parsed.length };
+            // "read with Section 34" is reached both from the list and as its own keyword
+            if (!mentions.some(m => m.end === mention.end)) mentions.push(mention);
+            previous = mention;
+            position += parsed.length;
+
+            const separator = text.slice(position).match(LIST_SEPARATOR);
+            if (!separator) break;
+            isRange = /^(to|-)$/i.test(separator[1]);
+            position += separator[0].length;
+        }
+    }
+    return mentions;
+}
+
+// "IPC 302" style: bare numbers right next to an act name
+function findBareSectionMentions(text, acts) {
+    const mentions = [];
+    for (const match of text.matchAll(/(?<![\w(])(\d{1,4}[A-Z]{0,3})(?![A-Za-z\d])((?:\s*\([0-9A-Za-z]{1,4}\))*)/gi)) {
+        if (acts.some(act => act.year && Number(match[1]) === act.year)) continue;
+        const parsed = parseSectionNumber(match[0]);
+        mentions.push({ ...parsed, start: match.index, end: match.index + match[0].length });
+    }
+    return mentions;
+}
+
+// A section belongs to the act named right before it ("IPC Section 302"),
+// otherwise to the next act named after it ("Section 302 IPC", "Sections 3
+// and 4 of the Dowry Prohibition Act"), otherwise to the last act before it.
+function assignAct(section, actMentions, text) {
+    const before = actMentions.filter(m => m.end <= section.start);
+    const after = actMentions.filter(m => m.start >= section.end);
+    const adjacent = before[before.length - 1];
+    if (adjacent && /^[\s,:-]*$/.test(text.slice(adjacent.end, section.start)) && !after.some(m => /^[\s,]*(?:of\s+(?:the\s+)?)?$/i.test(text.slice(section.end, m.start)))) {
+        return adjacent;
+    }
+    return after[0] || before[before.length - 1] || null;
+}
+
+function toCanonical(act, section, subsection = null) {
+    return {
+        id: section ? `${act.id}:${section}` : act.id,
+        act: act.id,
+        act_name: act.name,
+        year: act.year,
+        unit: section ? (act.unit || "Section") : null,
+        section: section || null,
+        subsection,
+        title: section ? act.titles[section] || null : null,
+    };
+}
+
+export function getAct(actId) {
+    return ACTS_BY_ID.get(String(actId).toUpperCase()) || null;
+}
+
+// "IPC:302" -> canonical entry, null when the ID is not in the registry
+export function lookupStatute(id) {
+    const [actId, section] = String(id).split(":");
+    const act = getAct(actId);
+    if (!act) return null;
+    if (!section) return toCanonical(act, null);
+    const parsed = parseSectionNumber(section);
+    if (!parsed || parsed.number < 1 || parsed.number > act.maxSection) return null;
+    return toCanonical(act, parsed.section);
+}
+
+// Parses one free-text reference. Returns { statutes, reason } where reason
+// explains why nothing (or only part of it) could be recognised.
+export function parseStatuteReference(raw) {
+    const text = String(raw || "").replace(/\s+/g, " ").trim();
+    if (!text) return { statutes: [], reason: "empty reference" };
+
+    const canonicalId = text.match(/^([A-Z0-9]+):(\d{1,4}[A-Z]{0,3})$/i);
+    if (canonicalId) {
+        const statute = lookupStatute(text);
+        return statute ? { statutes: [statute], reason: null } : { statutes: [], reason: "unknown canonical id" };
+    }
+
+    const actMentions = findActMentions(text);
+    // An explicit year that is not the act's own year means a different act
+    // (Arbitration Act, 1940; Code of Criminal Procedure, 1898)
+    const wrongYear = actMentions.filter(m => m.year && m.year !== m.act.year);
+    const acts = actMentions.filter(m => !m.year || m.year === m.act.year);
+    if (acts.length === 0) {
+        return { statutes: [], reason: wrongYear.length ? `unsupported version of ${wrongYear[0].act.name}` : "act not recognised" };
+    }
+
+    const orders = [...text.matchAll(ORDER_RULE)].map(match => ({
+        label: match[2] ? `Order ${match[1]} Rule ${match[2]}` : `Order ${match[1]}`,
+        start: match.index,
+        end: match.index + match[0].length,
+    }));
+    const overlaps = (a, b) => a.start < b.end && a.end > b.start;
+
+    let sections = findSectionMentions(text);
+    if (sections.length === 0) {
+        sections = findBareSectionMentions(text, acts.map(m => m.act))
+            .filter(section => !acts.some(m => overlaps(section, m)));
+    }
+    sections = sections.filter(section => !orders.some(order => overlaps(section, order)));
+
+    const statutes = [];
+    const problems = [];
+    for (const order of orders) {
+        const mention = assignAct(order, acts, text);
+        if (mention) problems.push(`${mention.act.id} ${order.label} is not supported (orders and rules are not mapped)`);
+    }
+    for (const section of sections) {
+        const mention = assignAct(section, acts, text);
+        if (!mention) continue;
+        if (section.number < 1 || section.number > mention.act.maxSection) {
+            problems.push(`${mention.act.id} has no ${(mention.act.unit || "section").toLowerCase()} ${section.section}`);
+            continue;
+        }
+        statutes.push(toCanonical(mention.act, section.section, section.subsection));
+    }
+
+    // Acts cited without any of their sections
+    for (const { act } of acts) {
+        if (!statutes.some(statute => statute.act === act.id) && !problems.some(p => p.startsWith(`${act.id} `))) {
+            statutes.push(toCanonical(act, null));
+        }
+    }
+
+    return { statutes, reason: problems.length ? problems.join("; ") : null };
+}
+
+// Normalises LSI output ({ "Section 302 IPC": "description", ... }, or an array
+// of strings / canonical IDs). Items that cannot be mapped are returned in
+// `unrecognized` instead of being passed through. References to one section
+// are merged; `subsections` lists every subsection cited ("13(1)(d) read with
+// 13(2)" -> ["(1)(d)", "(2)"]) and `subsection` stays the first of them.
+export function normalizeStatutes(input) {
+    // [reference, description, original wordings, subsections]; already-normalised
+    // entries keep their wordings and subsections
+    const entries = Array.isArray(input)
+        ? input.map(item => typeof item === "string"
+            ? [item, null, [item], []]
+            : [
+                item?.id || String(item?.raw || ""),
+                item?.description || null,
+                [].concat(item?.raw || item?.id || []),
+                [].concat(item?.subsections || item?.subsection || []),
+            ])
+        : Object.entries(input || {}).map(([raw, description]) => [raw, description, [raw], []]);
+
+    const byId = new Map();
+    const unrecognized = [];
+
+    for (const [reference, description, raws, knownSubsections] of entries) {
+        const { statutes, reason } = parseStatuteReference(reference);
+        if (statutes.length === 0 || reason) {
+            unrecognized.push({ raw: reference, description: description || null, reason: reason || "no section found" });
+        }
+        for (const statute of statutes) {
+            const subsections = [...knownSubsections, ...(statute.subsection ? [statute.subsection] : [])];
+            const existing = byId.get(statute.id);
+            if (existing) {
+                for (const raw of raws) if (!existing.raw.includes(raw)) existing.raw.push(raw);
+                for (const sub of subsections) if (!existing.subsections.includes(sub)) existing.subsections.push(sub);
+                existing.subsection = existing.subsection || existing.subsections[0] || null;
+                if (!existing.description && description) existing.description = description;
+                continue;
+            }
+            const unique = [...new Set(subsections)];
+            byId.set(statute.id, {
+                ...statute,
+                subsection: statute.subsection || unique[0] || null,
+                subsections: unique,
+                description: description || null,
+                raw: [...raws],
+            });
+        }
+    }
+
+    return { statutes: [...byId.values()], unrecognized };
+}
@@ -0,0 +1,32 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+import { S3Client, PutObjectCommand, GetObjectCommand } from '@aws-sdk/client-s3';
+
+// Cloudflare R2 (S3 API) holds judgment texts, PDFs and uploaded originals
+export const R2_BUCKET = process.env.R2_BUCKET || 'jsondev';
+
+const r2Client = new S3Client({
+    region: 'apac',
+    endpoint: process.env.R2_ENDPOINT,
+    credentials: {
+        accessKeyId: process.env.R2_ACCESS_KEY, // Replace with your R2 Access Key
+        secretAccessKey: process.env.R2_ACCESS_KEY, // Replace with your R2 Secret Key
+    },
+});
+
+export const uploadToR2 = async (bucket, key, content, contentType) => {
+    const params = {
+        Bucket: bucket,
+        Key: key,
+        Body: content,
+        ContentType: contentType,
+    };
+    await r2Client.send(new PutObjectCommand(params));
+    return `${process.env.R2_PUBLIC_URL || 'R2_ENDPOINT'}/${key}`;
+};
+
+export const readFromR2 = async (bucket, key) => {
+    const response = await r2Client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    return Buffer.from(await response.Body.transformToByteArray());
+};
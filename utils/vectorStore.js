@@ -0,0 +1,252 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+import fs from "fs";
+import path from "path";
+import { createHash } from "crypto";
+import { v4 as uuidv4 } from "uuid";
+import { Embeddings } from "@langchain/core/embeddings";
+import { VectorStore } from "@langchain/core/vectorstores";
+import { Document } from "@langchain/core/documents";
+import { HuggingFaceInferenceEmbeddings } from "@langchain/community/embeddings/hf";
+import { PineconeStore } from "@langchain/pinecone";
+import { Pinecone } from "@pinecone-database/pinecone";
+
+const PINECONE_API_KEY = process.env.PINECONE_API_KEY;
+const PINECONE_INDEX_NAME = process.env.PINECONE_INDEX_NAME;
+const HF_TOKEN = process.env.HF_TOKEN;
+
+// VECTOR_STORE: "pinecone" | "local" (defaults to pinecone when it is configured)
+// EMBEDDINGS: "huggingface" | "hash" (defaults to huggingface when HF_TOKEN is set)
+// LOCAL_VECTOR_STORE_PATH: JSON file the local store loads from and saves to
+const VECTOR_STORE = process.env.VECTOR_STORE || (PINECONE_API_KEY ? "pinecone" : "local");
+const EMBEDDINGS = process.env.EMBEDDINGS || (HF_TOKEN ? "huggingface" : "hash");
+const LOCAL_VECTOR_STORE_PATH = process.env.LOCAL_VECTOR_STORE_PATH;
+
+// --- LOCAL EMBEDDER ---
+// Feature-hashed bag of words and bigrams, L2 normalised. No model download and
+// no network, and identical text always gives an identical vector, so it is
+// only meant for offline development and tests, not for real relevance.
+
+function tokenize(text) {
+    return (text || "").toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+export class HashEmbeddings extends Embeddings {
+    constructor(fields = {}) {
+        super(fields);
+        this.dimensions = fields.dimensions || 384;
+    }
+
+    embedText(text) {
+        const vector = new Array(this.dimensions).fill(0);
+        const tokens = tokenize(text);
+        const features = tokens.concat(tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`));
+
+        for (const feature of features) {
+            const hash = createHash("md5").update(feature).digest();
+            const index = hash.readUInt32BE(0) % this.dimensions;
+            vector[index] += hash[4] & 1 ? 1 : -1;
+        }
+
+        const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+        return norm === 0 ? vector : vector.map(v => v / norm);
+    }
+
+    async embedDocuments(documents) {
+        return documents.map(text => this.embedText(text));
+    }
+
+    async embedQuery(document) {
+        return this.embedText(document);
+    }
+}
+
+// --- LOCAL VECTOR STORE ---
+// In-memory cosine search with the same surface as PineconeStore
+// (similaritySearchWithScore, addDocuments, delete) and Pinecone-style
+// metadata filters, optionally persisted to a JSON file.
+
+function matchesCondition(value, condition) {
+    if (condition === null || typeof condition !== "object" || Array.isArray(condition)) {
+        return value === condition;
+    }
+    return Object.entries(condition).every(([op, expected]) => {
+        switch (op) {
+            case "$eq": return value === expected;
+            case "$ne": return value !== expected;
+            case "$in": return expected.includes(value);
+            case "$nin": return !expected.includes(value);
+            case "$gt": return value > expected;
+            case "$gte": return value >= expected;
+            case "$lt": return value < expected;
+            case "$lte": return value <= expected;
+            case "$exists": return (value !== undefined) === expected;
+            default: throw new Error(`Unsupported filter operator: ${op}`);
+        }
+    });
+}
+
+export function matchesFilter(metadata, filter) {
+    if (!filter) return true;
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === "$and") return condition.every(f => matchesFilter(metadata, f));
+        if (key === "$or") return condition.some(f => matchesFilter(metadata, f));
+        return matchesCondition(metadata[key], condition);
+    });
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+// Changes are written to filePath at most once per SAVE_DELAY_MS, off the
+// request path; an ingestion that adds and deletes many chunks costs one
+// write. Pending changes are written synchronously when the process exits.
+const SAVE_DELAY_MS = 1000;
+
+export class LocalVectorStore extends VectorStore {
+    constructor(embeddings, { filePath } = {}) {
+        super(embeddings, {});
+        this.filePath = filePath;
+        this.records = new Map();
+        this.dirty = false;
+        this.saveTimer = null;
+        this.writing = null;
+        this.load();
+        if (this.filePath) process.on("exit", () => this.saveSync());
+    }
+
+    _vectorstoreType() {
+        return "local";
+    }
+
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return;
+        const saved = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+        for (const record of saved) {
+            this.records.set(record.id, record);
+        }
+        console.log(`Loaded ${this.records.size} vectors from ${this.filePath}`);
+    }
+
+    scheduleSave() {
+        if (!this.filePath) return;
+        this.dirty = true;
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.flush();
+        }, SAVE_DELAY_MS);
+        this.saveTimer.unref();
+    }
+
+    // Writes pending changes now; resolves when they are on disk
+    async flush() {
+        while (this.writing) await this.writing;
+        if (!this.dirty) return;
+        this.dirty = false;
+        const data = JSON.stringify([...this.records.values()]);
+        // Write then rename, so a crash mid-write cannot corrupt the file
+        this.writing = fs.promises.mkdir(path.dirname(this.filePath), { recursive: true })
+            .then(() => fs.promises.writeFile(`${this.filePath}.tmp`, data))
+            .then(() => fs.promises.rename(`${this.filePath}.tmp`, this.filePath))
+            .catch((error) => {
+                console.error(`Local vector store save failed: ${error.message}`);
+                this.dirty = true;
+            })
+            .finally(() => {
+                this.writing = null;
+            });
+        await this.writing;
+    }
+
+    saveSync() {
+        if (!this.dirty && !this.writing) return;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, JSON.stringify([...this.records.values()]));
+        this.dirty = false;
+    }
+
+    async addVectors(vectors, documents, options = {}) {
+        const ids = options.ids || documents.map(doc => doc.id || uuidv4());
+        vectors.forEach((vector, i) => {
+            this.records.set(ids[i], {
+                id: ids[i],
+                vector,
+                pageContent: documents[i].pageContent,
+                metadata: documents[i].metadata || {},
+            });
+        });
+        this.scheduleSave();
+        return ids;
+    }
+
+    async addDocuments(documents, options = {}) {
+        const vectors = await this.embeddings.embedDocuments(documents.map(doc => doc.pageContent));
+        return this.addVectors(vectors, documents, options);
+    }
+
+    async delete({ ids, filter } = {}) {
+        for (const record of [...this.records.values()]) {
+            if ((ids && ids.includes(record.id)) || (filter && matchesFilter(record.metadata, filter))) {
+                this.records.delete(record.id);
+            }
+        }
+        this.scheduleSave();
+    }
+
+    async similaritySearchVectorWithScore(query, k, filter) {
+        const scored = [];
+        for (const record of this.records.values()) {
+            if (!matchesFilter(record.metadata, filter)) continue;
+            scored.push([record, cosineSimilarity(query, record.vector)]);
+        }
+        return scored
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, k)
+            .map(([record, score]) => [
+                new Document({ id: record.id, pageContent: record.pageContent, metadata: record.metadata }),
+                score,
+            ]);
+    }
+}
+
+// --- FACTORY ---
+
+export function getEmbeddings() {
+    if (EMBEDDINGS === "hash") {
+        return new HashEmbeddings();
+    }
+    return new HuggingFaceInferenceEmbeddings({
+        apiKey: HF_TOKEN,
+        model: "sentence-transformers/all-mpnet-base-v2",
+    });
+}
+
+let vectorStoreInstance = null;
+
+export function getVectorStore() {
+    if (vectorStoreInstance) return vectorStoreInstance;
+
+    const embeddings = getEmbeddings();
+    if (VECTOR_STORE === "local") {
+        vectorStoreInstance = new LocalVectorStore(embeddings, { filePath: LOCAL_VECTOR_STORE_PATH });
+    } else if (VECTOR_STORE === "pinecone") {
+        const pinecone = new Pinecone({ apiKey: PINECONE_API_KEY });
+        const pineconeIndex = pinecone.index(PINECONE_INDEX_NAME);
+        vectorStoreInstance = new PineconeStore(embeddings, { pineconeIndex });
+    } else {
+        throw new Error(`Unsupported VECTOR_STORE: ${VECTOR_STORE}`);
+    }
+
+    console.log(`Vector store initialized (${VECTOR_STORE}, ${EMBEDDINGS} embeddings).`);
+    return vectorStoreInstance;
+}